@@ -1,8 +1,9 @@
-import os, hmac, hashlib, time, json, base64
+import os, hmac, hashlib, time, json, base64, sqlite3, secrets
 from urllib.parse import parse_qsl
 from dotenv import load_dotenv
-from fastapi import FastAPI, Request, Response, HTTPException
+from fastapi import FastAPI, Request, Response, HTTPException, Depends
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import JSONResponse
 from pydantic import BaseModel
 import jwt  # PyJWT
 
@@ -14,6 +15,8 @@ INITDATA_TTL_SEC = int(os.getenv("INITDATA_TTL_SEC") or "86400")
 DEV_ALLOW_ANON = os.getenv("DEV_ALLOW_ANON") == "1"
 SECURE_COOKIES = os.getenv("SECURE_COOKIES") == "1"
 DEBUG_INITDATA = os.getenv("DEBUG_INITDATA") == "1"
+DB_PATH = os.getenv("DB_PATH") or os.path.join(os.path.dirname(os.path.abspath(__file__)), "hookah.sqlite3")
+MAX_SYNC_BYTES = int(os.getenv("MAX_SYNC_BYTES") or str(2 * 1024 * 1024))
 
 allowed_origins = [o.strip() for o in (os.getenv("CORS_ALLOWED_ORIGINS") or "").split(",") if o.strip()]
 
@@ -27,7 +30,9 @@ async def allow_private_network(request: Request, call_next):
     return response
 app.add_middleware(
     CORSMiddleware,
-    allow_origins=allowed_origins or ["*"],
+    # Запросы идут с кукой sid, поэтому пускаем только перечисленные домены;
+    # без списка кросс-доменный доступ закрыт
+    allow_origins=allowed_origins,
     allow_credentials=True,
     allow_methods=["*"],
     allow_headers=["*"],
@@ -36,6 +41,54 @@ app.add_middleware(
 class AuthIn(BaseModel):
     initData: str | None = None
 
+class SyncIn(BaseModel):
+    baseRevision: int = 0
+    data: dict
+
+class SharedSessionIn(BaseModel):
+    data: dict
+    ackJoinIds: list[str] = []
+
+class JoinIn(BaseModel):
+    bowlId: str
+
+def get_db() -> sqlite3.Connection:
+    # isolation_level=None: транзакциями управляем сами через BEGIN IMMEDIATE
+    conn = sqlite3.connect(DB_PATH, isolation_level=None)
+    conn.row_factory = sqlite3.Row
+    return conn
+
+def init_db():
+    conn = get_db()
+    try:
+        conn.execute(
+            """
+            CREATE TABLE IF NOT EXISTS user_state (
+                user_id TEXT PRIMARY KEY,
+                revision INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+            """
+        )
+        conn.execute(
+            """
+            CREATE TABLE IF NOT EXISTS shared_sessions (
+                code TEXT PRIMARY KEY,
+                owner_id TEXT NOT NULL,
+                owner_name TEXT NOT NULL,
+                revision INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                joins TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+            """
+        )
+    finally:
+        conn.close()
+
+init_db()
+
 def b64url(data: bytes) -> str:
     return base64.urlsafe_b64encode(data).rstrip(b"=").decode()
 
@@ -98,10 +151,20 @@ def make_jwt(user: dict, secret: str) -> str:
         "tg": {
             "id": user.get("id") if user else None,
             "username": user.get("username") if user else None,
+            "photo_url": user.get("photo_url") if user else None,
         },
     }
     return jwt.encode(payload, secret, algorithm="HS256")
 
+def current_user(request: Request) -> dict:
+    token = request.cookies.get("sid")
+    if not token:
+        raise HTTPException(status_code=401, detail="no_session")
+    try:
+        return jwt.decode(token, SESSION_SECRET, algorithms=["HS256"])
+    except jwt.PyJWTError:
+        raise HTTPException(status_code=401, detail="bad_session")
+
 @app.post("/auth/telegram")
 async def auth_telegram(data: AuthIn, response: Response, request: Request):
     # Гостевой режим для локальной отладки вне Telegram
@@ -141,6 +204,180 @@ async def auth_telegram(data: AuthIn, response: Response, request: Request):
     )
     return {"ok": True, "user": user}
 
+def check_payload_size(data: dict) -> str:
+    payload = json.dumps(data, ensure_ascii=False)
+    if len(payload.encode()) > MAX_SYNC_BYTES:
+        raise HTTPException(status_code=413, detail="too_large")
+    return payload
+
+@app.get("/sync/state")
+async def sync_get(user: dict = Depends(current_user)):
+    conn = get_db()
+    try:
+        row = conn.execute(
+            "SELECT revision, data, updated_at FROM user_state WHERE user_id = ?", (user["sub"],)
+        ).fetchone()
+    finally:
+        conn.close()
+    if not row:
+        return {"ok": True, "revision": 0, "data": None, "updatedAt": None}
+    return {"ok": True, "revision": row["revision"], "data": json.loads(row["data"]), "updatedAt": row["updated_at"]}
+
+@app.put("/sync/state")
+async def sync_put(body: SyncIn, user: dict = Depends(current_user)):
+    payload = check_payload_size(body.data)
+
+    conn = get_db()
+    try:
+        # Проверка ревизии и запись — одна транзакция, иначе два устройства затрут друг друга
+        conn.execute("BEGIN IMMEDIATE")
+        row = conn.execute(
+            "SELECT revision, data, updated_at FROM user_state WHERE user_id = ?", (user["sub"],)
+        ).fetchone()
+        current_revision = row["revision"] if row else 0
+        if body.baseRevision != current_revision:
+            conn.execute("ROLLBACK")
+            return JSONResponse(
+                status_code=409,
+                content={
+                    "ok": False,
+                    "why": "conflict",
+                    "revision": current_revision,
+                    "data": json.loads(row["data"]) if row else None,
+                    "updatedAt": row["updated_at"] if row else None,
+                },
+            )
+        now = int(time.time())
+        conn.execute(
+            """
+            INSERT INTO user_state (user_id, revision, data, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET revision = excluded.revision, data = excluded.data, updated_at = excluded.updated_at
+            """,
+            (user["sub"], current_revision + 1, payload, now),
+        )
+        conn.execute("COMMIT")
+    except Exception:
+        if conn.in_transaction:
+            conn.execute("ROLLBACK")
+        raise
+    finally:
+        conn.close()
+    return {"ok": True, "revision": current_revision + 1, "updatedAt": now}
+
+def load_shared(conn: sqlite3.Connection, code: str) -> sqlite3.Row:
+    row = conn.execute("SELECT * FROM shared_sessions WHERE code = ?", (code,)).fetchone()
+    if not row:
+        raise HTTPException(status_code=404, detail="not_found")
+    return row
+
+def shared_response(row: sqlite3.Row, user: dict) -> dict:
+    return {
+        "ok": True,
+        "code": row["code"],
+        "ownerName": row["owner_name"],
+        "isOwner": row["owner_id"] == user["sub"],
+        "revision": row["revision"],
+        "data": json.loads(row["data"]),
+        "joins": json.loads(row["joins"]),
+        "updatedAt": row["updated_at"],
+    }
+
+@app.post("/shared-sessions")
+async def shared_create(body: SharedSessionIn, user: dict = Depends(current_user)):
+    payload = check_payload_size(body.data)
+    # Код идёт в start_param Mini App: только [A-Za-z0-9_-]
+    code = secrets.token_urlsafe(9)
+    now = int(time.time())
+    conn = get_db()
+    try:
+        conn.execute(
+            "INSERT INTO shared_sessions (code, owner_id, owner_name, revision, data, joins, updated_at) VALUES (?, ?, ?, 1, ?, '[]', ?)",
+            (code, user["sub"], user.get("name") or "", payload, now),
+        )
+        row = load_shared(conn, code)
+    finally:
+        conn.close()
+    return shared_response(row, user)
+
+@app.get("/shared-sessions/{code}")
+async def shared_get(code: str, user: dict = Depends(current_user)):
+    conn = get_db()
+    try:
+        row = load_shared(conn, code)
+    finally:
+        conn.close()
+    return shared_response(row, user)
+
+@app.put("/shared-sessions/{code}")
+async def shared_update(code: str, body: SharedSessionIn, user: dict = Depends(current_user)):
+    payload = check_payload_size(body.data)
+    conn = get_db()
+    try:
+        conn.execute("BEGIN IMMEDIATE")
+        row = load_shared(conn, code)
+        # Цены, состав чаш и завершение сессии меняет только владелец
+        if row["owner_id"] != user["sub"]:
+            conn.execute("ROLLBACK")
+            raise HTTPException(status_code=403, detail="not_owner")
+        acked = set(body.ackJoinIds)
+        joins = [join for join in json.loads(row["joins"]) if join["id"] not in acked]
+        conn.execute(
+            "UPDATE shared_sessions SET revision = ?, data = ?, joins = ?, updated_at = ? WHERE code = ?",
+            (row["revision"] + 1, payload, json.dumps(joins, ensure_ascii=False), int(time.time()), code),
+        )
+        conn.execute("COMMIT")
+        row = load_shared(conn, code)
+    except Exception:
+        if conn.in_transaction:
+            conn.execute("ROLLBACK")
+        raise
+    finally:
+        conn.close()
+    return shared_response(row, user)
+
+@app.post("/shared-sessions/{code}/join")
+async def shared_join(code: str, body: JoinIn, user: dict = Depends(current_user)):
+    conn = get_db()
+    try:
+        conn.execute("BEGIN IMMEDIATE")
+        row = load_shared(conn, code)
+        data = json.loads(row["data"])
+        session = data.get("session") or {}
+        if not session.get("isActive"):
+            conn.execute("ROLLBACK")
+            raise HTTPException(status_code=409, detail="session_ended")
+        if body.bowlId not in [bowl.get("id") for bowl in session.get("bowls", [])]:
+            conn.execute("ROLLBACK")
+            raise HTTPException(status_code=404, detail="bowl_not_found")
+        joins = json.loads(row["joins"])
+        tg = user.get("tg") or {}
+        already = any(join["bowlId"] == body.bowlId and join["user"]["id"] == user["sub"] for join in joins)
+        if not already:
+            joins.append({
+                "id": secrets.token_hex(8),
+                "bowlId": body.bowlId,
+                "user": {
+                    "id": user["sub"],
+                    "name": user.get("name") or "",
+                    "username": tg.get("username"),
+                    "photoUrl": tg.get("photo_url"),
+                },
+                "at": int(time.time()),
+            })
+            conn.execute(
+                "UPDATE shared_sessions SET joins = ?, updated_at = ? WHERE code = ?",
+                (json.dumps(joins, ensure_ascii=False), int(time.time()), code),
+            )
+        conn.execute("COMMIT")
+        row = load_shared(conn, code)
+    except Exception:
+        if conn.in_transaction:
+            conn.execute("ROLLBACK")
+        raise
+    finally:
+        conn.close()
+    return shared_response(row, user)
+
 @app.get("/debug/env")
 async def debug_env():
     return {
@@ -0,0 +1,96 @@
+import os, sys, tempfile
+
+# Окружение задаём до импорта: app.py читает его и создаёт таблицы при загрузке
+os.environ["DB_PATH"] = os.path.join(tempfile.mkdtemp(), "test.sqlite3")
+os.environ["CORS_ALLOWED_ORIGINS"] = ""
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+from fastapi.testclient import TestClient
+import app as backend
+
+
+def client_for(user_id: int, first_name: str = "Тест") -> TestClient:
+    client = TestClient(backend.app)
+    client.cookies.set("sid", backend.make_jwt({"id": user_id, "first_name": first_name}, backend.SESSION_SECRET))
+    return client
+
+
+def test_sync_requires_session():
+    response = TestClient(backend.app).get("/sync/state")
+    assert response.status_code == 401
+
+
+def test_sync_put_with_stale_revision_returns_conflict():
+    first = client_for(101)
+    second = client_for(101)
+
+    response = first.put("/sync/state", json={"baseRevision": 0, "data": {"people": [{"id": "a", "name": "Аня"}]}})
+    assert response.status_code == 200
+    assert response.json()["revision"] == 1
+
+    # Второе устройство ещё не видело ревизию 1
+    response = second.put("/sync/state", json={"baseRevision": 0, "data": {"people": [{"id": "b", "name": "Боря"}]}})
+    assert response.status_code == 409
+    body = response.json()
+    assert body["why"] == "conflict"
+    assert body["revision"] == 1
+    assert body["data"] == {"people": [{"id": "a", "name": "Аня"}]}
+
+    # Отклонённая запись ничего не поменяла
+    state = second.get("/sync/state").json()
+    assert state["revision"] == 1
+    assert state["data"] == {"people": [{"id": "a", "name": "Аня"}]}
+
+    merged = {"people": [{"id": "a", "name": "Аня"}, {"id": "b", "name": "Боря"}]}
+    response = second.put("/sync/state", json={"baseRevision": 1, "data": merged})
+    assert response.status_code == 200
+    assert response.json()["revision"] == 2
+    assert first.get("/sync/state").json()["data"] == merged
+
+
+def test_sync_state_is_separate_per_user():
+    client_for(201).put("/sync/state", json={"baseRevision": 0, "data": {"people": [{"id": "a", "name": "Аня"}]}})
+
+    state = client_for(202).get("/sync/state").json()
+    assert state["revision"] == 0
+    assert state["data"] is None
+
+
+def test_shared_session_is_updated_only_by_owner():
+    owner = client_for(301, "Владелец")
+    guest = client_for(302, "Гость")
+    data = {"session": {"isActive": True, "bowls": [{"id": "bowl-1", "cost": 1000}]}}
+
+    created = owner.post("/shared-sessions", json={"data": data}).json()
+    code = created["code"]
+    assert created["isOwner"] is True
+
+    tampered = {"session": {"isActive": True, "bowls": [{"id": "bowl-1", "cost": 1}]}}
+    response = guest.put(f"/shared-sessions/{code}", json={"data": tampered})
+    assert response.status_code == 403
+    assert response.json()["detail"] == "not_owner"
+
+    snapshot = guest.get(f"/shared-sessions/{code}").json()
+    assert snapshot["isOwner"] is False
+    assert snapshot["revision"] == 1
+    assert snapshot["data"] == data
+
+    # Гость может только отметиться в чаше, а заявку принимает владелец
+    joined = guest.post(f"/shared-sessions/{code}/join", json={"bowlId": "bowl-1"}).json()
+    assert [join["user"]["id"] for join in joined["joins"]] == ["302"]
+
+    updated = owner.put(f"/shared-sessions/{code}", json={"data": data, "ackJoinIds": [joined["joins"][0]["id"]]}).json()
+    assert updated["revision"] == 2
+    assert updated["joins"] == []
+
+
+def test_cors_is_closed_without_allowed_origins():
+    client = client_for(401)
+    headers = {"Origin": "https://evil.example"}
+
+    response = client.get("/sync/state", headers=headers)
+    assert "access-control-allow-origin" not in response.headers
+
+    response = client.options("/sync/state", headers={**headers, "Access-Control-Request-Method": "PUT"})
+    assert response.status_code == 400
+    assert "access-control-allow-origin" not in response.headers
@@ -0,0 +1,1425 @@
+// Ядро без DOM и хранилища: схема состояния, миграции, расчёт долей и операции над сессией.
+// Его используют интерфейс и тесты в Node
+import { LOCALES, detectLocale, getLocaleTag, t } from "./i18n.js";
+
+export const SCHEMA_VERSION = 7;
+export const MAX_COST_DIGITS = 5;
+export const MAX_COST_VALUE = Number("9".repeat(MAX_COST_DIGITS));
+export const MAX_REMINDER_MINUTES = 240;
+export const DEFAULT_CURRENCY = "RUB";
+export const CURRENCIES = ["RUB", "USD", "EUR", "GEL", "TRY", "AED", "THB", "KZT", "AMD"];
+
+export const createInitialState = () => ({
+  schemaVersion: SCHEMA_VERSION,
+  settings: {
+    defaultBowlCost: 500,
+    locale: detectLocale(),
+    currency: DEFAULT_CURRENCY,
+    reminders: { coalsMinutes: 20, longMinutes: 60 },
+  },
+  people: [],
+  venues: [],
+  groups: [],
+  currentSession: null,
+  savedSessions: [],
+  quarantine: [],
+});
+
+export const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Каждая миграция поднимает данные ровно на одну версию схемы
+const MIGRATIONS = {
+  // V1: люди могли храниться строками, а участники чаш — именами
+  1: (data) => {
+    const people = (Array.isArray(data.people) ? data.people : []).map((person) =>
+      typeof person === "string" ? { id: createId(), name: person } : person,
+    );
+    const resolvePersonId = (name) => {
+      const lower = String(name || "").toLowerCase();
+      let person = people.find((p) => typeof p?.name === "string" && p.name.toLowerCase() === lower);
+      if (!person) {
+        person = { id: createId(), name: String(name) };
+        people.push(person);
+      }
+      return person.id;
+    };
+    const migrateBowl = (bowl) => {
+      if (!isPlainObject(bowl)) return bowl;
+      return {
+        ...bowl,
+        id: bowl.id || createId(),
+        participantIds: Array.isArray(bowl.participantIds)
+          ? bowl.participantIds
+          : (Array.isArray(bowl.participants) ? bowl.participants : []).map(resolvePersonId),
+      };
+    };
+    const session = isPlainObject(data.currentSession) && Array.isArray(data.currentSession.bowls)
+      ? { ...data.currentSession, bowls: data.currentSession.bowls.map(migrateBowl) }
+      : data.currentSession || null;
+    return {
+      ...data,
+      people,
+      currentSession: session,
+      savedSessions: data.savedSessions || data.history || [],
+      schemaVersion: 2,
+    };
+  },
+  // V2 → V3: явные поля для позиций, оплат, округления и карантина
+  2: (data) => ({
+    ...data,
+    settings: isPlainObject(data.settings)
+      ? { ...data.settings, rounding: getRoundingSettings(data.settings) }
+      : data.settings,
+    currentSession: isPlainObject(data.currentSession)
+      ? { items: [], payments: [], ...data.currentSession }
+      : data.currentSession || null,
+    savedSessions: Array.isArray(data.savedSessions)
+      ? data.savedSessions.map((entry) => (isPlainObject(entry) ? { items: [], ...entry } : entry))
+      : data.savedSessions,
+    quarantine: Array.isArray(data.quarantine) ? data.quarantine : [],
+    schemaVersion: 3,
+  }),
+  // V3 → V4: история хранила участников только именами — проставляем id по текущему списку людей
+  3: (data) => {
+    const people = Array.isArray(data.people) ? data.people : [];
+    const idByName = (name) => findPersonByName(people, name)?.id || null;
+    const withIds = (names) => (Array.isArray(names) ? names.map(idByName) : []);
+    return {
+      ...data,
+      savedSessions: Array.isArray(data.savedSessions)
+        ? data.savedSessions.map((entry) => {
+          if (!isPlainObject(entry) || !Array.isArray(entry.bowls) || !Array.isArray(entry.summary)) return entry;
+          return {
+            ...entry,
+            bowls: entry.bowls.map((bowl) => (isPlainObject(bowl)
+              ? {
+                ...bowl,
+                participantIds: bowl.participantIds || withIds(bowl.participants),
+                payerId: bowl.payerId !== undefined ? bowl.payerId : (bowl.payer ? idByName(bowl.payer) : null),
+              }
+              : bowl)),
+            items: (entry.items || []).map((item) => (isPlainObject(item)
+              ? { ...item, participantIds: item.participantIds || withIds(item.participants) }
+              : item)),
+            summary: entry.summary.map((row) => (isPlainObject(row) && !row.personId
+              ? { ...row, personId: idByName(row.name) }
+              : row)),
+          };
+        })
+        : data.savedSessions,
+      schemaVersion: 4,
+    };
+  },
+  // V4 → V5: гости общей сессии становятся привязкой человека к Telegram
+  4: (data) => {
+    const guests = isPlainObject(data.currentSession?.sharedGuests) ? data.currentSession.sharedGuests : {};
+    const people = Array.isArray(data.people) ? data.people : [];
+    return {
+      ...data,
+      people: people.map((person) => {
+        const telegramId = Object.keys(guests).find((key) => guests[key] === person?.id);
+        if (!telegramId || !isPlainObject(person) || person.telegram) return person;
+        return { ...person, telegram: { id: telegramId, username: null, photoUrl: null } };
+      }),
+      schemaVersion: 5,
+    };
+  },
+  // V5 → V6: язык и валюта; всё, что сохранено раньше, было на русском и в рублях
+  5: (data) => ({
+    ...data,
+    settings: isPlainObject(data.settings)
+      ? { locale: "ru", currency: DEFAULT_CURRENCY, ...data.settings }
+      : data.settings,
+    currentSession: isPlainObject(data.currentSession)
+      ? { currency: DEFAULT_CURRENCY, ...data.currentSession }
+      : data.currentSession || null,
+    savedSessions: Array.isArray(data.savedSessions)
+      ? data.savedSessions.map((entry) => (isPlainObject(entry) ? { currency: DEFAULT_CURRENCY, ...entry } : entry))
+      : data.savedSessions,
+    schemaVersion: 6,
+  }),
+  // V6 → V7: доли, условия и суммы чаш в истории хранились по имени и путались при совпадении имён
+  6: (data) => ({
+    ...data,
+    savedSessions: Array.isArray(data.savedSessions)
+      ? data.savedSessions.map((entry) => (isPlainObject(entry) ? keyHistoryEntryById(entry) : entry))
+      : data.savedSessions,
+    schemaVersion: 7,
+  }),
+};
+
+export const migrateState = (data) => {
+  let migrated = data;
+  let version = Number(migrated.schemaVersion) || 2;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(t("errors.newerSchema", { version }));
+  }
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.schemaVersion;
+  }
+  return migrated;
+};
+
+// Повреждённые записи не роняют всё состояние, а откладываются в карантин
+export const sanitizeState = (data) => {
+  const initial = createInitialState();
+  const quarantine = Array.isArray(data.quarantine) ? [...data.quarantine] : [];
+  const quarantinedAt = new Date().toISOString();
+  const reject = (kind, record, reason) => {
+    quarantine.push({ id: createId(), kind, reason, record, quarantinedAt });
+  };
+
+  const settings = { ...initial.settings, ...(isPlainObject(data.settings) ? data.settings : {}) };
+  const defaultCost = Number(settings.defaultBowlCost);
+  if (!Number.isInteger(defaultCost) || defaultCost <= 0 || defaultCost > MAX_COST_VALUE) {
+    settings.defaultBowlCost = initial.settings.defaultBowlCost;
+  }
+  if (!LOCALES[settings.locale]) settings.locale = initial.settings.locale;
+  if (!CURRENCIES.includes(settings.currency)) settings.currency = DEFAULT_CURRENCY;
+  settings.reminders = getReminderSettings(settings);
+
+  const personIds = new Set();
+  const people = [];
+  (Array.isArray(data.people) ? data.people : []).forEach((person) => {
+    if (!isPlainObject(person) || typeof person.id !== "string" || typeof person.name !== "string" || !person.name.trim()) {
+      reject("person", person, t("quarantine.noPersonName"));
+      return;
+    }
+    if (personIds.has(person.id)) {
+      reject("person", person, t("quarantine.duplicateId"));
+      return;
+    }
+    personIds.add(person.id);
+    const normalized = { ...person };
+    if (normalized.aliases !== undefined && !Array.isArray(normalized.aliases)) {
+      normalized.aliases = [];
+    }
+    if (normalized.telegram !== undefined && !isPlainObject(normalized.telegram)) {
+      delete normalized.telegram;
+    }
+    if (normalized.payment !== undefined) {
+      const payment = normalizePaymentDetails(normalized.payment);
+      if (payment) {
+        normalized.payment = payment;
+      } else {
+        delete normalized.payment;
+      }
+    }
+    people.push(normalized);
+  });
+
+  const venues = [];
+  (Array.isArray(data.venues) ? data.venues : []).forEach((venue) => {
+    if (!isPlainObject(venue) || typeof venue.id !== "string" || typeof venue.name !== "string") {
+      reject("venue", venue, t("quarantine.noVenueName"));
+      return;
+    }
+    const menu = Array.isArray(venue.menu)
+      ? venue.menu.filter((entry) => isPlainObject(entry) && typeof entry.id === "string" && Number.isInteger(entry.cost))
+      : [];
+    venues.push({ ...venue, menu });
+  });
+
+  const groups = [];
+  (Array.isArray(data.groups) ? data.groups : []).forEach((group) => {
+    if (!isPlainObject(group) || typeof group.id !== "string" || typeof group.name !== "string" || !group.name.trim()) {
+      reject("group", group, t("quarantine.noGroupName"));
+      return;
+    }
+    const memberIds = Array.isArray(group.memberIds) ? group.memberIds.filter((id) => personIds.has(id)) : [];
+    groups.push({ ...group, memberIds: Array.from(new Set(memberIds)) });
+  });
+
+  const isValidBowl = (bowl) => isPlainObject(bowl) && typeof bowl.id === "string" && Array.isArray(bowl.participantIds);
+  let currentSession = data.currentSession || null;
+  if (
+    currentSession &&
+    (!isPlainObject(currentSession) ||
+      typeof currentSession.id !== "string" ||
+      !Array.isArray(currentSession.bowls) ||
+      !currentSession.bowls.every(isValidBowl))
+  ) {
+    reject("currentSession", currentSession, t("quarantine.brokenSession"));
+    currentSession = null;
+  }
+
+  const sessionIds = new Set();
+  const savedSessions = [];
+  (Array.isArray(data.savedSessions) ? data.savedSessions : []).forEach((entry) => {
+    if (
+      !isPlainObject(entry) ||
+      typeof entry.id !== "string" ||
+      !Array.isArray(entry.bowls) ||
+      !Array.isArray(entry.summary)
+    ) {
+      reject("savedSession", entry, t("quarantine.brokenEntry"));
+      return;
+    }
+    if (sessionIds.has(entry.id)) {
+      reject("savedSession", entry, t("quarantine.duplicateId"));
+      return;
+    }
+    sessionIds.add(entry.id);
+    savedSessions.push(entry);
+  });
+
+  return {
+    ...initial,
+    ...data,
+    schemaVersion: SCHEMA_VERSION,
+    settings,
+    people,
+    venues,
+    groups,
+    currentSession,
+    savedSessions,
+    quarantine,
+  };
+};
+
+export const createId = () => `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+export const getDefaultSessionName = () => {
+  const date = new Date().toLocaleDateString(getLocaleTag(), {
+    day: "2-digit",
+    month: "2-digit",
+  });
+  return t("session.defaultName", { date });
+};
+
+// Имя или любой из псевдонимов, без учёта регистра
+export const findPersonByName = (people, name) => {
+  const lower = String(name || "").trim().toLowerCase();
+  if (!lower) return null;
+  return (
+    people.find((person) => typeof person?.name === "string" && person.name.toLowerCase() === lower) ||
+    people.find((person) => (person?.aliases || []).some((alias) => alias.toLowerCase() === lower)) ||
+    null
+  );
+};
+
+export const findPersonByTelegramId = (people, telegramId) => {
+  if (telegramId === null || telegramId === undefined) return null;
+  return people.find((person) => person.telegram?.id != null && String(person.telegram.id) === String(telegramId)) || null;
+};
+
+// Доли, условия и суммы чаши в записи истории лежат по id человека;
+// участник без id (старые записи с удалёнными людьми) остаётся под своим именем
+export const getHistoryParticipantKey = (bowl, index) => bowl.participantIds?.[index] || bowl.participants[index];
+
+export const keyHistoryEntryById = (entry) => {
+  if (!Array.isArray(entry.bowls)) return entry;
+  return {
+    ...entry,
+    bowls: entry.bowls.map((bowl) => {
+      if (!isPlainObject(bowl) || !Array.isArray(bowl.participants)) return bowl;
+      const keyByName = new Map(bowl.participants.map((name, index) => [name, getHistoryParticipantKey(bowl, index)]));
+      const rekey = (map) => (isPlainObject(map)
+        ? Object.fromEntries(Object.entries(map).map(([key, value]) => [keyByName.get(key) || key, value]))
+        : map);
+      return { ...bowl, amounts: rekey(bowl.amounts), shares: rekey(bowl.shares), terms: rekey(bowl.terms) };
+    }),
+  };
+};
+
+// Реквизиты для перевода: телефон для СБП, номер карты и банк. Храним только заполненные поля
+export const PAYMENT_FIELDS = ["phone", "card", "bank"];
+export const MAX_BANK_NAME_LENGTH = 40;
+
+// Номер без «+» принимаем только в российском виде 8… или 7…, остальные — с кодом страны
+const normalizePhone = (value) => {
+  const text = String(value || "").trim();
+  const digits = text.replace(/\D/g, "");
+  if (!text.startsWith("+") && digits.length === 11 && /^[78]/.test(digits)) return `+7${digits.slice(1)}`;
+  return text.startsWith("+") && digits.length >= 10 && digits.length <= 15 ? `+${digits}` : null;
+};
+
+// Опечатку в номере карты ловим по контрольной цифре (алгоритм Луна)
+const normalizeCardNumber = (value) => {
+  const digits = String(value || "").replace(/[\s-]/g, "");
+  if (!/^\d{16,19}$/.test(digits)) return null;
+  const sum = digits
+    .split("")
+    .reverse()
+    .reduce((total, char, index) => {
+      const digit = Number(char) * (index % 2 ? 2 : 1);
+      return total + (digit > 9 ? digit - 9 : digit);
+    }, 0);
+  return sum % 10 === 0 ? digits : null;
+};
+
+export const normalizePaymentDetails = (value) => {
+  if (!isPlainObject(value)) return null;
+  const details = {};
+  const phone = normalizePhone(value.phone);
+  const card = normalizeCardNumber(value.card);
+  const bank = String(value.bank || "").trim().slice(0, MAX_BANK_NAME_LENGTH);
+  if (phone) details.phone = phone;
+  if (card) details.card = card;
+  if (bank) details.bank = bank;
+  return Object.keys(details).length ? details : null;
+};
+
+// Пустое значение стирает поле; неверный телефон или номер карты не сохраняется — тогда вернётся false
+export const updatePaymentDetail = (state, personId, field, value) => {
+  const person = state.people.find((p) => p.id === personId);
+  if (!person || !PAYMENT_FIELDS.includes(field)) return false;
+  const text = String(value || "").trim();
+  const payment = { ...person.payment };
+  if (text) {
+    const normalized = normalizePaymentDetails({ [field]: text })?.[field];
+    if (!normalized) return false;
+    payment[field] = normalized;
+  } else {
+    delete payment[field];
+  }
+  if (Object.keys(payment).length) {
+    person.payment = payment;
+  } else {
+    delete person.payment;
+  }
+  return true;
+};
+
+const sumNumericFields = (target, source) => {
+  Object.keys(source).forEach((key) => {
+    if (typeof source[key] === "number" && typeof target[key] === "number") {
+      target[key] += source[key];
+    }
+  });
+};
+
+const renameKey = (map, fromKey, toKey) => {
+  if (!map || !(fromKey in map) || fromKey === toKey) return;
+  if (!(toKey in map)) {
+    map[toKey] = map[fromKey];
+  } else if (typeof map[toKey] === "number" && typeof map[fromKey] === "number") {
+    map[toKey] += map[fromKey];
+  }
+  delete map[fromKey];
+};
+
+// Переносит человека в текущей (или сохранённой в снимке) сессии на другого; настройки цели важнее
+export const reassignPersonInSession = (session, fromId, toId) => {
+  const replaceIds = (ids) => Array.from(new Set(ids.map((id) => (id === fromId ? toId : id))));
+  session.bowls.forEach((bowl) => {
+    bowl.participantIds = replaceIds(bowl.participantIds);
+    if (bowl.participation?.[fromId]) {
+      if (!bowl.participation[toId]) bowl.participation[toId] = bowl.participation[fromId];
+      delete bowl.participation[fromId];
+    }
+    if (bowl.payerId === fromId) bowl.payerId = toId;
+  });
+  (session.payments || []).forEach((payment) => {
+    if (payment.personId === fromId) payment.personId = toId;
+  });
+  if (session.participantRules?.[fromId]) {
+    if (!session.participantRules[toId]) session.participantRules[toId] = session.participantRules[fromId];
+    delete session.participantRules[fromId];
+  }
+  (session.items || []).forEach((item) => {
+    item.participantIds = replaceIds(item.participantIds || []);
+  });
+  Object.keys(session.sharedGuests || {}).forEach((key) => {
+    if (session.sharedGuests[key] === fromId) session.sharedGuests[key] = toId;
+  });
+};
+
+// Переносит человека в записи истории: id, имена, ключи долей и строки итогов.
+// С fromId === target.id это просто переименование
+export const reassignPersonInEntry = (entry, fromId, target) => {
+  const findName = () => {
+    const row = entry.summary.find((item) => item.personId === fromId);
+    if (row) return row.name;
+    for (const bowl of entry.bowls) {
+      const index = (bowl.participantIds || []).indexOf(fromId);
+      if (index !== -1) return bowl.participants[index];
+      if (bowl.payerId === fromId) return bowl.payer;
+    }
+    return null;
+  };
+  const oldName = findName();
+  if (oldName === null) return;
+  const isMerge = fromId !== target.id;
+
+  const reassignList = (holder) => {
+    const ids = holder.participantIds || [];
+    const index = ids.indexOf(fromId);
+    if (index === -1) return;
+    if (isMerge && ids.includes(target.id)) {
+      holder.participantIds = ids.filter((_, itemIndex) => itemIndex !== index);
+      holder.participants = holder.participants.filter((_, itemIndex) => itemIndex !== index);
+    } else {
+      holder.participantIds = ids.map((id, itemIndex) => (itemIndex === index ? target.id : id));
+      holder.participants = holder.participants.map((name, itemIndex) => (itemIndex === index ? target.name : name));
+    }
+  };
+
+  entry.bowls.forEach((bowl) => {
+    reassignList(bowl);
+    renameKey(bowl.amounts, fromId, target.id);
+    if (isMerge && bowl.shares?.[target.id] !== undefined) delete bowl.shares[fromId];
+    renameKey(bowl.shares, fromId, target.id);
+    if (isMerge && bowl.terms?.[target.id] !== undefined) delete bowl.terms[fromId];
+    renameKey(bowl.terms, fromId, target.id);
+    if (bowl.payerId === fromId) {
+      bowl.payerId = target.id;
+      bowl.payer = target.name;
+    }
+  });
+  (entry.items || []).forEach(reassignList);
+
+  const reassignRows = (rows) => {
+    const source = rows.find((row) => row.personId === fromId);
+    if (!source) return rows;
+    const existing = isMerge ? rows.find((row) => row.personId === target.id) : null;
+    if (existing) {
+      sumNumericFields(existing, source);
+      return rows.filter((row) => row !== source);
+    }
+    source.personId = target.id;
+    source.name = target.name;
+    return rows;
+  };
+  entry.summary = reassignRows(entry.summary);
+  const targetRow = isMerge ? entry.summary.find((row) => row.personId === target.id) : null;
+  if (targetRow) {
+    // Если оба были в одной чаше, простая сумма посчитала бы её дважды
+    targetRow.bowlsCount = entry.bowls.filter((bowl) => (bowl.participantIds || []).includes(target.id)).length;
+  }
+
+  if (entry.settlement) {
+    entry.settlement.payments = reassignRows(entry.settlement.payments || []);
+    entry.settlement.transfers = (entry.settlement.transfers || [])
+      .map((transfer) => ({
+        ...transfer,
+        ...(transfer.fromId === fromId ? { fromId: target.id, fromName: target.name } : {}),
+        ...(transfer.toId === fromId ? { toId: target.id, toName: target.name } : {}),
+      }))
+      .filter((transfer) => transfer.fromId !== transfer.toId);
+  }
+  if (isMerge && entry.snapshot) {
+    reassignPersonInSession(entry.snapshot, fromId, target.id);
+  }
+};
+
+// Запись истории, пригодная для архива и восстановления
+export const isArchiveEntry = (entry) =>
+  isPlainObject(entry) && typeof entry.id === "string" && Array.isArray(entry.bowls) && Array.isArray(entry.summary);
+
+// В архив не берём снимок для редактирования и пустые словари долей и условий:
+// открыть такую запись можно и без снимка, восстановив сессию из самой записи
+export const compactHistoryEntry = (entry) => {
+  const { snapshot, ...compact } = entry;
+  return {
+    ...compact,
+    bowls: entry.bowls.map((bowl) => {
+      const { shares, terms, ...rest } = bowl;
+      return {
+        ...rest,
+        ...(shares && Object.keys(shares).length ? { shares } : {}),
+        ...(terms && Object.keys(terms).length ? { terms } : {}),
+      };
+    }),
+  };
+};
+
+export const sortHistory = (entries) => entries.sort((a, b) => String(b.endedAt || "").localeCompare(String(a.endedAt || "")));
+
+// Подписи в таблицах ниже — ключи переводов, текст подставляется при отрисовке
+export const PARTICIPATION_SHARES = [
+  { value: 1, label: "share.full" },
+  { value: 0.75, label: "share.threeQuarters" },
+  { value: 0.5, label: "share.half" },
+  { value: 0.25, label: "share.quarter" },
+];
+
+export const MAX_PERCENT_VALUE = 100;
+
+export const getParticipantShare = (bowl, personId) => {
+  const share = Number(bowl?.participation?.[personId]?.share);
+  return Number.isFinite(share) && share > 0 && share <= 1 ? share : 1;
+};
+
+export const WEIGHT_OPTIONS = [1, 1.5, 2, 3];
+
+// Условия участника в чаше: собственные настройки чаши важнее правил на всю сессию
+export const getParticipantTerms = (session, bowl, personId) => {
+  const rule = session?.participantRules?.[personId] || {};
+  const own = bowl?.participation?.[personId] || {};
+  const weight = Number(own.weight ?? rule.weight);
+  const fixed = own.fixed == null ? null : Number(own.fixed);
+  return {
+    share: getParticipantShare(bowl, personId),
+    weight: Number.isFinite(weight) && weight > 0 ? weight : 1,
+    fixed: Number.isFinite(fixed) && fixed >= 0 ? Math.round(fixed) : null,
+    exempt: Boolean(own.exempt ?? rule.exempt),
+  };
+};
+
+// Делим целую сумму пропорционально весам: остаток по рублю уходит тем,
+// у кого больше дробная часть, при равенстве — по приоритету (меньше — раньше),
+// затем в порядке участников
+export const allocateByWeights = (total, weights, priority = []) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!total || weightSum <= 0) return { amounts: weights.map(() => 0), extras: [] };
+  const exact = weights.map((weight) => (total * weight) / weightSum);
+  const amounts = exact.map((value) => Math.floor(value + 1e-9));
+  let remainder = total - amounts.reduce((sum, value) => sum + value, 0);
+  const order = exact
+    .map((value, index) => ({ index, fraction: value - amounts[index] }))
+    .filter((entry) => weights[entry.index] > 0)
+    .sort(
+      (a, b) =>
+        (Math.abs(b.fraction - a.fraction) > 1e-9 ? b.fraction - a.fraction : 0) ||
+        (priority[a.index] || 0) - (priority[b.index] || 0) ||
+        a.index - b.index,
+    );
+  const extras = [];
+  for (let i = 0; remainder > 0 && order.length; i = (i + 1) % order.length) {
+    amounts[order[i].index] += 1;
+    extras.push(order[i].index);
+    remainder -= 1;
+  }
+  return { amounts, extras };
+};
+
+export const splitByWeights = (total, weights, priority) => allocateByWeights(total, weights, priority).amounts;
+
+export const ROUNDING_STEPS = [1, 10, 50, 100];
+
+export const REMAINDER_MODES = {
+  order: "rounding.remainder.order",
+  fair: "rounding.remainder.fair",
+};
+
+export const SURPLUS_MODES = {
+  tip: "rounding.surplus.tip",
+  payer: "rounding.surplus.payer",
+};
+
+// 0 — напоминание выключено
+export const getReminderSettings = (settings) => {
+  const reminders = settings?.reminders || {};
+  const normalize = (value, fallback) =>
+    Number.isInteger(value) && value >= 0 && value <= MAX_REMINDER_MINUTES ? value : fallback;
+  return {
+    coalsMinutes: normalize(reminders.coalsMinutes, 20),
+    longMinutes: normalize(reminders.longMinutes, 60),
+  };
+};
+
+export const getRoundingSettings = (settings) => {
+  const rounding = settings?.rounding || {};
+  return {
+    step: ROUNDING_STEPS.includes(rounding.step) ? rounding.step : 1,
+    remainder: REMAINDER_MODES[rounding.remainder] ? rounding.remainder : "order",
+    surplus: SURPLUS_MODES[rounding.surplus] ? rounding.surplus : "tip",
+  };
+};
+
+// Сводим должников с получателями: сначала пары с совпадающими суммами,
+// затем крупнейший долг гасится крупнейшей переплатой
+export const computeTransfers = (balances) => {
+  const byLeft = (a, b) => b.left - a.left || a.name.localeCompare(b.name, "ru");
+  const debtors = balances
+    .filter((entry) => entry.balance < 0)
+    .map((entry) => ({ ...entry, left: -entry.balance }))
+    .sort(byLeft);
+  const creditors = balances
+    .filter((entry) => entry.balance > 0)
+    .map((entry) => ({ ...entry, left: entry.balance }))
+    .sort(byLeft);
+  const transfers = [];
+  const settle = (debtor, creditor, amount) => {
+    transfers.push({
+      fromId: debtor.personId,
+      fromName: debtor.name,
+      toId: creditor.personId,
+      toName: creditor.name,
+      amount,
+    });
+    debtor.left -= amount;
+    creditor.left -= amount;
+  };
+
+  debtors.forEach((debtor) => {
+    const match = creditors.find((creditor) => creditor.left > 0 && creditor.left === debtor.left);
+    if (match) settle(debtor, match, debtor.left);
+  });
+
+  let openDebtors = debtors.filter((entry) => entry.left > 0);
+  let openCreditors = creditors.filter((entry) => entry.left > 0);
+  while (openDebtors.length && openCreditors.length) {
+    const debtor = openDebtors[0];
+    const creditor = openCreditors[0];
+    settle(debtor, creditor, Math.min(debtor.left, creditor.left));
+    openDebtors = openDebtors.filter((entry) => entry.left > 0).sort(byLeft);
+    openCreditors = openCreditors.filter((entry) => entry.left > 0).sort(byLeft);
+  }
+  return transfers;
+};
+
+// Сначала списываются фиксированные суммы, остаток делится по весу и доле
+// участия между теми, кто не освобождён от оплаты
+export const splitBowlCost = (cost, terms, priority) => {
+  let rest = cost;
+  const fixedAmounts = terms.map((term) => {
+    if (term.exempt || term.fixed === null) return 0;
+    const amount = Math.min(term.fixed, rest);
+    rest -= amount;
+    return amount;
+  });
+  const weights = terms.map((term) => (term.exempt || term.fixed !== null ? 0 : term.share * term.weight));
+  const hasFlexible = weights.some((weight) => weight > 0);
+  const flexible = allocateByWeights(hasFlexible ? rest : 0, weights, priority);
+  return {
+    amounts: fixedAmounts.map((amount, index) => amount + flexible.amounts[index]),
+    extras: flexible.extras,
+    unallocated: hasFlexible ? 0 : rest,
+  };
+};
+
+// Операции ниже меняют состояние на месте и ничего не знают о DOM и хранилище:
+// сохранение, перерисовку, вибрацию и сообщения берёт на себя интерфейс
+
+export const getPersonMap = (state) => new Map(state.people.map((person) => [person.id, person]));
+
+export const getSessionVenue = (state, session) => {
+  if (!session?.venueId) return null;
+  return state.venues.find((venue) => venue.id === session.venueId) || null;
+};
+
+export const ensureActiveBowl = (session) => {
+  if (!session) return null;
+  let bowl = session.bowls.find((b) => b.id === session.activeBowlId);
+  if (!bowl && session.bowls.length) {
+    bowl = session.bowls[0];
+    session.activeBowlId = bowl.id;
+  }
+  return bowl || null;
+};
+
+// Находит человека по имени или псевдониму, а если такого нет — заводит нового
+export const addPerson = (state, name) => {
+  const trimmed = (name || "").trim();
+  if (!trimmed) return null;
+  let person = findPersonByName(state.people, trimmed);
+  if (!person) {
+    person = { id: createId(), name: trimmed };
+    state.people.push(person);
+    state.people.sort((a, b) => a.name.localeCompare(b.name, "ru"));
+  }
+  return person;
+};
+
+export const renamePerson = (state, personId, name) => {
+  const trimmed = (name || "").trim();
+  const person = state.people.find((p) => p.id === personId);
+  if (!trimmed || !person) return null;
+  // Чужое имя или псевдоним не занимаем: один и тот же человек объединяется слиянием
+  if (findPersonByName(state.people.filter((p) => p.id !== personId), trimmed)) return null;
+  person.name = trimmed;
+  if (person.aliases) {
+    person.aliases = person.aliases.filter((alias) => alias.toLowerCase() !== trimmed.toLowerCase());
+  }
+  state.savedSessions.forEach((entry) => reassignPersonInEntry(entry, personId, person));
+  state.people.sort((a, b) => a.name.localeCompare(b.name, "ru"));
+  return person;
+};
+
+// Дубликат сливается в основного: все сессии и история переходят на него, имя остаётся псевдонимом
+export const mergePeople = (state, sourceId, targetId) => {
+  const source = state.people.find((p) => p.id === sourceId);
+  const target = state.people.find((p) => p.id === targetId);
+  if (!source || !target || source.id === target.id) return null;
+  if (state.currentSession) {
+    reassignPersonInSession(state.currentSession, source.id, target.id);
+  }
+  state.savedSessions.forEach((entry) => reassignPersonInEntry(entry, source.id, target));
+  const aliases = new Map((target.aliases || []).map((alias) => [alias.toLowerCase(), alias]));
+  [source.name, ...(source.aliases || [])]
+    .filter((alias) => alias.toLowerCase() !== target.name.toLowerCase())
+    .forEach((alias) => aliases.set(alias.toLowerCase(), alias));
+  target.aliases = Array.from(aliases.values());
+  if (!target.telegram && source.telegram) {
+    target.telegram = source.telegram;
+  }
+  if (!target.payment && source.payment) {
+    target.payment = source.payment;
+  }
+  state.people = state.people.filter((p) => p.id !== source.id);
+  state.groups.forEach((group) => {
+    if (!group.memberIds.includes(source.id)) return;
+    group.memberIds = Array.from(new Set(group.memberIds.map((id) => (id === source.id ? target.id : id))));
+  });
+  return { source, target };
+};
+
+// История не трогается: сохранённые записи хранят имена и остаются как были
+export const deletePerson = (state, personId) => {
+  const person = state.people.find((p) => p.id === personId) || null;
+  state.people = state.people.filter((p) => p.id !== personId);
+  state.groups.forEach((group) => {
+    group.memberIds = group.memberIds.filter((id) => id !== personId);
+  });
+  const session = state.currentSession;
+  if (session) {
+    session.bowls.forEach((bowl) => {
+      bowl.participantIds = bowl.participantIds.filter((id) => id !== personId);
+      if (bowl.participation) {
+        delete bowl.participation[personId];
+      }
+      if (bowl.payerId === personId) {
+        bowl.payerId = null;
+      }
+    });
+    session.payments = (session.payments || []).filter((payment) => payment.personId !== personId);
+    if (session.participantRules) {
+      delete session.participantRules[personId];
+    }
+    (session.items || []).forEach((item) => {
+      item.participantIds = (item.participantIds || []).filter((id) => id !== personId);
+    });
+  }
+  return person;
+};
+
+// Кто сколько заплатил: чаши целиком и отдельные оплаты
+const getPaidMap = (session, personMap) => {
+  const paidMap = new Map();
+  const addPaid = (personId, value) => {
+    const amount = Math.max(0, Math.round(Number(value) || 0));
+    if (!personMap.has(personId) || !amount) return;
+    paidMap.set(personId, (paidMap.get(personId) || 0) + amount);
+  };
+  session.bowls.forEach((bowl) => {
+    if (bowl.payerId) addPaid(bowl.payerId, bowl.cost);
+  });
+  (session.payments || []).forEach((payment) => addPaid(payment.personId, payment.amount));
+  return paidMap;
+};
+
+export const computeSummary = (state, session) => {
+  if (!session) {
+    return { rows: [], total: 0, bowls: [], items: [], unallocated: 0, roundingSurplus: 0 };
+  }
+  const personMap = getPersonMap(state);
+  const rounding = getRoundingSettings(state.settings);
+  // В честном режиме лишний рубль достаётся тому, кто реже получал его раньше
+  const extraCounts = new Map();
+  const priorityFor = (ids) => (rounding.remainder === "fair" ? ids.map((id) => extraCounts.get(id) || 0) : []);
+  const countExtras = (ids, extras) => {
+    extras.forEach((index) => extraCounts.set(ids[index], (extraCounts.get(ids[index]) || 0) + 1));
+  };
+  const summaryMap = new Map();
+  const bowls = [];
+  const items = [];
+  let totalCost = 0;
+  let unallocated = 0;
+
+  const ensureRow = (person) => {
+    if (!summaryMap.has(person.id)) {
+      summaryMap.set(person.id, {
+        personId: person.id,
+        name: person.name,
+        bowlsCount: 0,
+        partialBowlsCount: 0,
+        exemptBowlsCount: 0,
+        bowlsTotal: 0,
+        itemsTotal: 0,
+        surchargeTotal: 0,
+        total: 0,
+      });
+    }
+    return summaryMap.get(person.id);
+  };
+
+  session.bowls.forEach((bowl) => {
+    const participants = bowl.participantIds.map((id) => personMap.get(id)).filter(Boolean);
+    const cost = Math.max(0, Math.round(Number(bowl.cost) || 0));
+    totalCost += cost;
+    if (!participants.length || cost === 0) {
+      unallocated += participants.length ? 0 : cost;
+      bowls.push({ bowlId: bowl.id, cost, shares: [], unallocated: participants.length ? 0 : cost });
+      return;
+    }
+
+    // Стоимость делится с учётом доли участия, веса, фиксированных сумм и освобождений
+    const terms = participants.map((person) => getParticipantTerms(session, bowl, person.id));
+    const participantIds = participants.map((person) => person.id);
+    const split = splitBowlCost(cost, terms, priorityFor(participantIds));
+    countExtras(participantIds, split.extras);
+    unallocated += split.unallocated;
+
+    participants.forEach((person, index) => {
+      const entry = ensureRow(person);
+      entry.bowlsCount += 1;
+      if (terms[index].share < 1) {
+        entry.partialBowlsCount += 1;
+      }
+      if (terms[index].exempt) {
+        entry.exemptBowlsCount += 1;
+      }
+      entry.bowlsTotal += split.amounts[index];
+      entry.total += split.amounts[index];
+    });
+
+    bowls.push({
+      bowlId: bowl.id,
+      cost,
+      shares: participants.map((person, index) => ({
+        personId: person.id,
+        ...terms[index],
+        amount: split.amounts[index],
+      })),
+      unallocated: split.unallocated,
+    });
+  });
+
+  const presentIds = Array.from(summaryMap.keys());
+  const sessionItems = session.items || [];
+
+  sessionItems
+    .filter((item) => item.kind !== "percent")
+    .forEach((item) => {
+      const amount = Math.max(0, Math.round(Number(item.amount) || 0));
+      totalCost += amount;
+      const ids = item.split === "everyone"
+        ? presentIds
+        : (item.participantIds || []).filter((id) => personMap.has(id));
+      const { amounts, extras } = allocateByWeights(amount, ids.map(() => 1), priorityFor(ids));
+      countExtras(ids, extras);
+      if (!ids.length) {
+        unallocated += amount;
+      }
+      ids.forEach((id, index) => {
+        const entry = ensureRow(personMap.get(id));
+        entry.itemsTotal += amounts[index];
+        entry.total += amounts[index];
+      });
+      items.push({
+        itemId: item.id,
+        amount,
+        shares: ids.map((id, index) => ({ personId: id, amount: amounts[index] })),
+      });
+    });
+
+  // Процентные сборы начисляются на весь счёт и делятся пропорционально
+  // тому, сколько каждый набрал до сборов
+  const subtotal = totalCost;
+  const subtotalRows = Array.from(summaryMap.values());
+  const subtotalWeights = subtotalRows.map((entry) => entry.total);
+  sessionItems
+    .filter((item) => item.kind === "percent")
+    .forEach((item) => {
+      const percent = Math.min(MAX_PERCENT_VALUE, Math.max(0, Number(item.percent) || 0));
+      const amount = Math.round((subtotal * percent) / 100);
+      totalCost += amount;
+      const amounts = splitByWeights(amount, subtotalWeights);
+      if (!subtotalWeights.some((weight) => weight > 0)) {
+        unallocated += amount;
+      }
+      subtotalRows.forEach((entry, index) => {
+        entry.surchargeTotal += amounts[index];
+        entry.total += amounts[index];
+      });
+      items.push({
+        itemId: item.id,
+        amount,
+        shares: subtotalRows
+          .map((entry, index) => ({ personId: entry.personId, amount: amounts[index] }))
+          .filter((share) => share.amount > 0),
+      });
+    });
+
+  // Итог каждого округляется вверх до шага; излишек идёт на чаевые или плательщику
+  let roundingSurplus = 0;
+  summaryMap.forEach((entry) => {
+    entry.exactTotal = entry.total;
+    entry.total = Math.ceil(entry.total / rounding.step) * rounding.step;
+    roundingSurplus += entry.total - entry.exactTotal;
+  });
+  // Пока никто не платил, излишек «плательщику» отдать некому — считаем его чаевыми
+  const surplusMode = rounding.surplus === "payer" && !getPaidMap(session, personMap).size ? "tip" : rounding.surplus;
+  if (surplusMode === "tip") {
+    totalCost += roundingSurplus;
+  }
+
+  const rows = Array.from(summaryMap.values()).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name, "ru"));
+
+  return {
+    rows,
+    total: totalCost,
+    bowls,
+    items,
+    unallocated,
+    roundingSurplus,
+    surplusMode,
+  };
+};
+
+export const computeSettlement = (state, session, summary = computeSummary(state, session)) => {
+  if (!session) {
+    return { balances: [], transfers: [], paidTotal: 0, owedTotal: 0, unsettled: 0 };
+  }
+  const personMap = getPersonMap(state);
+  const paidMap = getPaidMap(session, personMap);
+
+  // Чаевые входят в общий счёт, а излишек «плательщику» достаётся тому, кто заплатил больше всех
+  const surplusReceiverId = summary.surplusMode === "payer"
+    ? Array.from(paidMap.entries()).sort((a, b) => b[1] - a[1])[0]?.[0]
+    : null;
+  const owedMap = new Map(summary.rows.map((row) => [row.personId, row.total]));
+  const balances = Array.from(new Set([...owedMap.keys(), ...paidMap.keys()]))
+    .map((personId) => {
+      const paid = paidMap.get(personId) || 0;
+      const owed = owedMap.get(personId) || 0;
+      const credit = personId === surplusReceiverId ? summary.roundingSurplus || 0 : 0;
+      return { personId, name: personMap.get(personId).name, paid, owed, credit, balance: paid + credit - owed };
+    })
+    .sort((a, b) => b.balance - a.balance || a.name.localeCompare(b.name, "ru"));
+
+  const paidTotal = balances.reduce((sum, entry) => sum + entry.paid, 0);
+  const owedTotal = balances.reduce((sum, entry) => sum + entry.owed, 0);
+  const creditTotal = balances.reduce((sum, entry) => sum + entry.credit, 0);
+
+  return {
+    balances,
+    transfers: paidTotal ? computeTransfers(balances) : [],
+    paidTotal,
+    owedTotal,
+    unsettled: owedTotal - paidTotal - creditTotal,
+  };
+};
+
+export const startSession = (state, name, venueId = null, groupId = null) => {
+  const trimmed = (name || "").trim() || getDefaultSessionName();
+  const venue = state.venues.find((entry) => entry.id === venueId) || null;
+  const group = state.groups.find((entry) => entry.id === groupId) || null;
+  const personMap = getPersonMap(state);
+  // Первая чаша берётся из первой позиции меню заведения, если оно выбрано
+  const firstPreset = venue?.menu[0] || null;
+  const firstBowlId = createId();
+  const session = {
+    id: createId(),
+    name: trimmed,
+    startedAt: new Date().toISOString(),
+    isActive: true,
+    currency: state.settings.currency,
+    venueId: venue ? venue.id : null,
+    bowls: [
+      {
+        id: firstBowlId,
+        name: firstPreset ? firstPreset.name : t("bowl.defaultName", { number: 1 }),
+        cost: firstPreset ? firstPreset.cost : state.settings.defaultBowlCost,
+        participantIds: group ? group.memberIds.filter((id) => personMap.has(id)) : [],
+        startedAt: new Date().toISOString(),
+      },
+    ],
+    activeBowlId: firstBowlId,
+    items: [],
+    payments: [],
+  };
+  state.currentSession = session;
+  return session;
+};
+
+export const addBowl = (state, presetId = null) => {
+  const session = state.currentSession;
+  if (!session || !session.isActive) return null;
+
+  const bowlIndex = session.bowls.length + 1;
+  const previousBowl = ensureActiveBowl(session);
+  const preset = getSessionVenue(state, session)?.menu.find((entry) => entry.id === presetId) || null;
+  const newBowlId = createId();
+  const bowl = {
+    id: newBowlId,
+    name: preset ? preset.name : t("bowl.defaultName", { number: bowlIndex }),
+    cost: preset ? preset.cost : state.settings.defaultBowlCost,
+    participantIds: previousBowl ? [...previousBowl.participantIds] : [],
+    startedAt: new Date().toISOString(),
+  };
+  session.bowls.push(bowl);
+  session.activeBowlId = newBowlId;
+  return bowl;
+};
+
+export const endSession = (state) => {
+  const session = state.currentSession;
+  if (!session || !session.isActive) return null;
+
+  const existingIndex = state.savedSessions.findIndex((entry) => entry.id === session.id);
+  const existingEntry = session.editingHistoryId ? state.savedSessions[existingIndex] : null;
+  const now = new Date().toISOString();
+  const endedAt = existingEntry?.endedAt || now;
+  const summary = computeSummary(state, session);
+  const settlement = computeSettlement(state, session, summary);
+  const personMap = getPersonMap(state);
+  session.bowls.forEach((bowl) => {
+    if (bowl.startedAt && !bowl.endedAt) bowl.endedAt = endedAt;
+  });
+  // При повторном сохранении переносим отметки об оплате совпадающих переводов
+  const previousTransfers = [...(existingEntry?.settlement?.transfers || [])];
+  const takePaidMark = (transfer) => {
+    const index = previousTransfers.findIndex(
+      (item) => item.fromId === transfer.fromId && item.toId === transfer.toId && item.amount === transfer.amount,
+    );
+    if (index === -1) return { paid: false };
+    const [match] = previousTransfers.splice(index, 1);
+    return { paid: Boolean(match.paid), paidAt: match.paidAt || null };
+  };
+
+  const historyEntry = {
+    id: session.id,
+    name: session.name,
+    startedAt: session.startedAt,
+    endedAt,
+    venueId: session.venueId || null,
+    venueName: getSessionVenue(state, session)?.name || existingEntry?.venueName || null,
+    currency: session.currency || DEFAULT_CURRENCY,
+    bowlCount: session.bowls.length,
+    totalCost: summary.total,
+    summary: summary.rows,
+    rounding: {
+      ...getRoundingSettings(state.settings),
+      surplus: summary.surplusMode,
+      surplusAmount: summary.roundingSurplus,
+    },
+    bowls: session.bowls.map((bowl) => ({
+      name: bowl.name,
+      cost: bowl.cost,
+      startedAt: bowl.startedAt || null,
+      endedAt: bowl.endedAt || null,
+      participantIds: bowl.participantIds.filter((id) => personMap.has(id)),
+      participants: bowl.participantIds
+        .map((id) => personMap.get(id)?.name)
+        .filter(Boolean),
+      shares: Object.fromEntries(
+        bowl.participantIds
+          .filter((id) => personMap.has(id) && getParticipantShare(bowl, id) < 1)
+          .map((id) => [id, getParticipantShare(bowl, id)]),
+      ),
+      terms: Object.fromEntries(
+        bowl.participantIds
+          .filter((id) => personMap.has(id))
+          .map((id) => [id, getParticipantTerms(session, bowl, id)])
+          .filter(([, terms]) => terms.exempt || terms.fixed !== null || terms.weight !== 1)
+          .map(([id, terms]) => [id, { weight: terms.weight, fixed: terms.fixed, exempt: terms.exempt }]),
+      ),
+      amounts: Object.fromEntries(
+        (summary.bowls.find((entry) => entry.bowlId === bowl.id)?.shares || [])
+          .map((share) => [share.personId, share.amount]),
+      ),
+      payerId: personMap.has(bowl.payerId) ? bowl.payerId : null,
+      payer: personMap.get(bowl.payerId)?.name || null,
+    })),
+    items: (session.items || []).map((item) => {
+      const computed = summary.items.find((entry) => entry.itemId === item.id);
+      return {
+        name: item.name,
+        kind: item.kind,
+        percent: item.kind === "percent" ? item.percent : null,
+        split: item.split,
+        amount: computed ? computed.amount : 0,
+        participantIds: (computed ? computed.shares : [])
+          .map((share) => share.personId)
+          .filter((id) => personMap.has(id)),
+        participants: (computed ? computed.shares : [])
+          .map((share) => personMap.get(share.personId)?.name)
+          .filter(Boolean),
+      };
+    }),
+    settlement: {
+      payments: settlement.balances
+        .filter((entry) => entry.paid > 0)
+        .map((entry) => ({ personId: entry.personId, name: entry.name, amount: entry.paid })),
+      transfers: settlement.transfers.map((transfer) => ({
+        id: createId(),
+        ...transfer,
+        ...takePaidMark(transfer),
+      })),
+      unsettled: settlement.unsettled,
+    },
+  };
+
+  session.isActive = false;
+  session.endedAt = endedAt;
+  delete session.editingHistoryId;
+  // Снимок исходной сессии нужен, чтобы её можно было открыть на редактирование
+  historyEntry.snapshot = JSON.parse(JSON.stringify(session));
+
+  if (existingEntry) {
+    historyEntry.editedAt = now;
+    state.savedSessions.splice(existingIndex, 1, historyEntry);
+  } else {
+    state.savedSessions.unshift(historyEntry);
+  }
+
+  return historyEntry;
+};
+
+// Старые записи истории хранят только имена — восстанавливаем сессию по ним
+export const restoreSessionFromHistory = (state, entry) => {
+  const resolvePersonId = (name, knownId = null) => {
+    if (knownId && state.people.some((p) => p.id === knownId)) return knownId;
+    let person = findPersonByName(state.people, name);
+    if (!person) {
+      person = { id: createId(), name };
+      state.people.push(person);
+      state.people.sort((a, b) => a.name.localeCompare(b.name, "ru"));
+    }
+    return person.id;
+  };
+  const bowls = (entry.bowls || []).map((bowl, index) => {
+    const participantIds = (bowl.participants || []).map((name, participantIndex) =>
+      resolvePersonId(name, bowl.participantIds?.[participantIndex]),
+    );
+    const participation = {};
+    (bowl.participants || []).forEach((_, participantIndex) => {
+      const options = {};
+      const key = getHistoryParticipantKey(bowl, participantIndex);
+      if (bowl.shares?.[key]) options.share = bowl.shares[key];
+      const terms = bowl.terms?.[key];
+      if (terms?.weight && terms.weight !== 1) options.weight = terms.weight;
+      if (terms?.fixed != null) options.fixed = terms.fixed;
+      if (terms?.exempt) options.exempt = true;
+      if (Object.keys(options).length) participation[participantIds[participantIndex]] = options;
+    });
+    return {
+      id: createId(),
+      name: bowl.name || t("bowl.defaultName", { number: index + 1 }),
+      cost: bowl.cost,
+      startedAt: bowl.startedAt || null,
+      endedAt: bowl.endedAt || null,
+      participantIds,
+      participation,
+      payerId: bowl.payer ? resolvePersonId(bowl.payer, bowl.payerId) : null,
+    };
+  });
+  return {
+    id: entry.id,
+    name: entry.name,
+    startedAt: entry.startedAt,
+    currency: entry.currency || DEFAULT_CURRENCY,
+    venueId: state.venues.some((venue) => venue.id === entry.venueId) ? entry.venueId : null,
+    bowls,
+    activeBowlId: bowls[0]?.id || null,
+    items: (entry.items || []).map((item) => ({
+      id: createId(),
+      name: item.name,
+      kind: item.kind,
+      amount: item.kind === "percent" ? null : item.amount,
+      percent: item.kind === "percent" ? item.percent : null,
+      split: item.kind === "percent" ? "everyone" : "selected",
+      participantIds: item.kind === "percent" ? [] : (item.participants || []).map(resolvePersonId),
+    })),
+    payments: [],
+  };
+};
+
+// Открывает запись истории на редактирование: из снимка, а у старых записей — восстановив сессию по ним
+export const reopenSession = (state, sessionId) => {
+  const entry = state.savedSessions.find((session) => session.id === sessionId);
+  if (!entry || state.currentSession?.isActive) return null;
+  const session = entry.snapshot
+    ? JSON.parse(JSON.stringify(entry.snapshot))
+    : restoreSessionFromHistory(state, entry);
+  session.isActive = true;
+  session.editingHistoryId = entry.id;
+  delete session.endedAt;
+  if (!session.bowls.length) {
+    const bowlId = createId();
+    session.bowls.push({
+      id: bowlId,
+      name: t("bowl.defaultName", { number: 1 }),
+      cost: state.settings.defaultBowlCost,
+      participantIds: [],
+      startedAt: new Date().toISOString(),
+    });
+    session.activeBowlId = bowlId;
+  }
+  state.currentSession = session;
+  return session;
+};
+
+// Длительность чаши: для незавершённой считаем до текущего момента
+export const getBowlDuration = (bowl, now = Date.now()) => {
+  if (!bowl?.startedAt) return null;
+  const end = bowl.endedAt ? new Date(bowl.endedAt).getTime() : now;
+  return Math.max(0, end - new Date(bowl.startedAt).getTime());
+};
+
+// Статистика считается только по сохранённым записям истории; границы периода — даты YYYY-MM-DD включительно
+export const computeHistoryStats = (savedSessions, { from = "", to = "", currency = DEFAULT_CURRENCY } = {}) => {
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  const sessions = savedSessions.filter((session) => {
+    const time = new Date(session.startedAt).getTime();
+    return time >= fromTime && time <= toTime && (session.currency || DEFAULT_CURRENCY) === currency;
+  });
+
+  const months = new Map();
+  const people = new Map();
+  const pairs = new Map();
+  let total = 0;
+  let bowlsTotal = 0;
+  let bowlCount = 0;
+  let timedTotal = 0;
+  let timedCount = 0;
+  let longestBowl = null;
+
+  sessions.forEach((session) => {
+    total += session.totalCost;
+    const started = new Date(session.startedAt);
+    const monthKey = `${started.getFullYear()}-${String(started.getMonth() + 1).padStart(2, "0")}`;
+    const month = months.get(monthKey) || { key: monthKey, total: 0, sessions: 0 };
+    month.total += session.totalCost;
+    month.sessions += 1;
+    months.set(monthKey, month);
+
+    session.summary.forEach((row) => {
+      const key = row.personId || row.name;
+      const person = people.get(key) || { name: row.name, spent: 0, sessions: 0, bowls: 0 };
+      person.spent += row.total;
+      person.sessions += 1;
+      person.bowls += row.bowlsCount;
+      people.set(key, person);
+    });
+
+    (session.bowls || []).forEach((bowl) => {
+      bowlsTotal += bowl.cost;
+      bowlCount += 1;
+      if (bowl.startedAt && bowl.endedAt) {
+        const duration = getBowlDuration(bowl);
+        timedTotal += duration;
+        timedCount += 1;
+        if (!longestBowl || duration > longestBowl.duration) {
+          longestBowl = { name: bowl.name, duration, startedAt: session.startedAt };
+        }
+      }
+      const names = [...new Set(bowl.participants)].sort((a, b) => a.localeCompare(b, "ru"));
+      names.forEach((first, index) => {
+        names.slice(index + 1).forEach((second) => {
+          const key = `${first}\u0000${second}`;
+          const pair = pairs.get(key) || { names: [first, second], bowls: 0 };
+          pair.bowls += 1;
+          pairs.set(key, pair);
+        });
+      });
+    });
+  });
+
+  const peopleList = Array.from(people.values());
+  return {
+    sessionCount: sessions.length,
+    bowlCount,
+    total,
+    averagePerBowl: bowlCount ? Math.round(bowlsTotal / bowlCount) : 0,
+    averagePerSession: sessions.length ? Math.round(total / sessions.length) : 0,
+    averageBowlDuration: timedCount ? Math.round(timedTotal / timedCount) : null,
+    longestBowl,
+    months: Array.from(months.values()).sort((a, b) => a.key.localeCompare(b.key)),
+    topSpenders: [...peopleList].sort((a, b) => b.spent - a.spent || a.name.localeCompare(b.name, "ru")).slice(0, 5),
+    topAttendees: [...peopleList].sort((a, b) => b.sessions - a.sessions || b.bowls - a.bowls).slice(0, 5),
+    topPairs: Array.from(pairs.values()).sort((a, b) => b.bowls - a.bowls).slice(0, 5),
+  };
+};
+
+// Поиск по названию, заведению и участникам; суммы сравниваются в валюте самой сессии
+export const filterHistory = (sessions, { venueId = "", query = "", from = "", to = "", min = "", max = "" } = {}) => {
+  const needle = query.trim().toLocaleLowerCase();
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  const minCost = min === "" ? -Infinity : Number(min);
+  const maxCost = max === "" ? Infinity : Number(max);
+  return sessions.filter((session) => {
+    if (venueId && session.venueId !== venueId) return false;
+    const time = new Date(session.startedAt).getTime();
+    if (time < fromTime || time > toTime) return false;
+    if (session.totalCost < minCost || session.totalCost > maxCost) return false;
+    if (!needle) return true;
+    return [
+      session.name,
+      session.venueName,
+      ...session.summary.map((row) => row.name),
+      ...session.bowls.flatMap((bowl) => bowl.participants || []),
+    ].some((text) => String(text || "").toLocaleLowerCase().includes(needle));
+  });
+};
+
+// Компания считается пришедшей на вечер, если была хотя бы половина её состава.
+// Сначала предлагаем ту, что пересекается с уже добавленными, затем самую частую в истории
+export const suggestGroup = (groups, savedSessions, presentIds = []) => {
+  const present = new Set(presentIds);
+  const ranked = groups
+    .filter((group) => group.memberIds.some((id) => !present.has(id)))
+    .map((group) => {
+      const members = new Set(group.memberIds);
+      let usage = 0;
+      let lastUsedAt = "";
+      savedSessions.forEach((session) => {
+        const attended = session.summary.filter((row) => members.has(row.personId)).length;
+        if (attended && attended * 2 >= members.size) {
+          usage += 1;
+          if (String(session.startedAt) > lastUsedAt) lastUsedAt = String(session.startedAt);
+        }
+      });
+      const overlap = group.memberIds.filter((id) => present.has(id)).length;
+      return { group, usage, lastUsedAt, overlap };
+    })
+    .filter((entry) => (present.size ? entry.overlap > 0 : entry.usage > 0))
+    .sort((a, b) => b.overlap - a.overlap || b.usage - a.usage || b.lastUsedAt.localeCompare(a.lastUsedAt));
+  return ranked[0] || null;
+};
+
+// Профиль участника по истории: строки итогов ищем по id, а в старых записях — по имени
+export const computePersonProfile = (savedSessions, person) => {
+  const matches = (id, name) => (id ? id === person.id : name === person.name);
+  const visits = [];
+  // Суммы в разных валютах не складываются — копим их отдельно
+  const totals = new Map();
+  const getTotals = (currency) => {
+    if (!totals.has(currency)) totals.set(currency, { currency, totalSpent: 0, sessions: 0, owes: 0, owed: 0 });
+    return totals.get(currency);
+  };
+
+  savedSessions.forEach((session) => {
+    const currency = session.currency || DEFAULT_CURRENCY;
+    const row = session.summary.find((entry) => matches(entry.personId, entry.name));
+    if (row) {
+      visits.push({
+        sessionId: session.id,
+        name: session.name,
+        date: session.endedAt || session.startedAt,
+        currency,
+        bowls: row.bowlsCount,
+        total: row.total,
+      });
+      getTotals(currency).totalSpent += row.total;
+      getTotals(currency).sessions += 1;
+    }
+    (session.settlement?.transfers || [])
+      .filter((transfer) => !transfer.paid)
+      .forEach((transfer) => {
+        if (matches(transfer.fromId, transfer.fromName)) getTotals(currency).owes += transfer.amount;
+        if (matches(transfer.toId, transfer.toName)) getTotals(currency).owed += transfer.amount;
+      });
+  });
+
+  visits.sort((a, b) => new Date(b.date) - new Date(a.date));
+  return {
+    visits,
+    sessionCount: visits.length,
+    bowlCount: visits.reduce((sum, visit) => sum + visit.bowls, 0),
+    lastSeenAt: visits[0]?.date || null,
+    totals: Array.from(totals.values())
+      .map((entry) => ({
+        ...entry,
+        averagePerSession: entry.sessions ? Math.round(entry.totalSpent / entry.sessions) : 0,
+        balance: entry.owed - entry.owes,
+      }))
+      .sort((a, b) => b.sessions - a.sessions),
+  };
+};
@@ -0,0 +1,112 @@
+// Обновление разметки на месте: вместо замены innerHTML переносим в живой DOM только отличия,
+// поэтому фокус, позиция курсора и прокрутка переживают перерисовку
+
+const ELEMENT_NODE = 1;
+
+// Элементы списков узнаём по data-key (или id), чтобы удаление из середины не сдвигало соседей
+const getKey = (node) => (node.nodeType === ELEMENT_NODE ? node.getAttribute("data-key") || node.id || null : null);
+
+const isSameKind = (current, next) =>
+  current.nodeType === next.nodeType && current.nodeName === next.nodeName && getKey(current) === getKey(next);
+
+const syncAttributes = (current, next) => {
+  Array.from(current.attributes).forEach(({ name }) => {
+    if (!next.hasAttribute(name)) current.removeAttribute(name);
+  });
+  Array.from(next.attributes).forEach(({ name, value }) => {
+    if (current.getAttribute(name) !== value) current.setAttribute(name, value);
+  });
+};
+
+// Значение, которое задаёт разметка: атрибут value или выбранный option
+const getMarkupValue = (node) => {
+  if (node.nodeName !== "SELECT") return node.getAttribute("value") ?? "";
+  const options = Array.from(node.querySelectorAll("option"));
+  const selected = options.find((option) => option.hasAttribute("selected")) || options[0];
+  return selected ? selected.getAttribute("value") ?? selected.textContent : "";
+};
+
+const isFormField = (node) => node.nodeName === "INPUT" || node.nodeName === "SELECT";
+
+// Значения полей живут в свойствах, а не в атрибутах. Поле, в котором сейчас печатают, не трогаем,
+// если разметка для него не изменилась: иначе курсор прыгал бы в конец на каждой перерисовке
+const syncFormState = (current, next, previousValue) => {
+  if (current.type === "checkbox" || current.type === "radio") {
+    current.checked = next.hasAttribute("checked");
+    return;
+  }
+  if (current.type === "file") return;
+  const value = getMarkupValue(next);
+  const isEditing = current === current.ownerDocument.activeElement && value === previousValue;
+  if (!isEditing && current.value !== value) current.value = value;
+};
+
+const patchNode = (current, next) => {
+  if (current.nodeType !== ELEMENT_NODE) {
+    if (current.nodeValue !== next.nodeValue) current.nodeValue = next.nodeValue;
+    return;
+  }
+  const previousValue = isFormField(current) ? getMarkupValue(current) : null;
+  syncAttributes(current, next);
+  patchChildren(current, next);
+  if (isFormField(current)) syncFormState(current, next, previousValue);
+};
+
+const findKeyed = (start, next) => {
+  if (!getKey(next)) return null;
+  for (let node = start; node; node = node.nextSibling) {
+    if (isSameKind(node, next)) return node;
+  }
+  return null;
+};
+
+// Идём по соседям, а не по индексам: на длинных списках childNodes[i] обходится дорого
+const patchChildren = (parent, nextParent) => {
+  const nextKeys = new Set();
+  for (let node = nextParent.firstChild; node; node = node.nextSibling) {
+    const key = getKey(node);
+    if (key) nextKeys.add(key);
+  }
+  let current = parent.firstChild;
+  let next = nextParent.firstChild;
+  while (next) {
+    const following = next.nextSibling;
+    if (current && !isSameKind(current, next)) {
+      const currentKey = getKey(current);
+      if (currentKey && !nextKeys.has(currentKey)) {
+        const stale = current;
+        current = current.nextSibling;
+        parent.removeChild(stale);
+        continue;
+      }
+      const match = findKeyed(current.nextSibling, next);
+      if (match) {
+        parent.insertBefore(match, current);
+        current = match;
+      } else {
+        parent.insertBefore(next, current);
+        next = following;
+        continue;
+      }
+    } else if (!current) {
+      // Новый узел забираем из разобранного шаблона целиком, копировать его незачем
+      parent.appendChild(next);
+      next = following;
+      continue;
+    }
+    patchNode(current, next);
+    current = current.nextSibling;
+    next = following;
+  }
+  while (current) {
+    const stale = current;
+    current = current.nextSibling;
+    parent.removeChild(stale);
+  }
+};
+
+export const patchHtml = (container, html) => {
+  const template = container.ownerDocument.createElement("template");
+  template.innerHTML = html;
+  patchChildren(container, template.content);
+};
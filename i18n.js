@@ -0,0 +1,829 @@
+// Переводы интерфейса. Ключи сгруппированы по экранам, {name} — подстановки,
+// формы множественного числа — суффиксы .one/.few/.many/.other из Intl.PluralRules
+export const LOCALES = {
+  ru: { label: "Русский", tag: "ru-RU" },
+  en: { label: "English", tag: "en-GB" },
+};
+
+const DEFAULT_LOCALE = "ru";
+
+const TRANSLATIONS = {
+  ru: {
+    "errors.newerSchema": "Данные сохранены более новой версией приложения ({version})",
+    "errors.stateNotObject": "Сохранённое состояние не является объектом",
+
+    "quarantine.noPersonName": "Нет id или имени",
+    "quarantine.duplicateId": "Повторяющийся id",
+    "quarantine.noVenueName": "Нет id или названия заведения",
+    "quarantine.noGroupName": "Нет id или названия компании",
+    "quarantine.brokenSession": "Повреждена текущая сессия",
+    "quarantine.brokenEntry": "Повреждена запись истории",
+
+    "session.defaultName": "Вечер {date}",
+    "session.start": "Начать сессию",
+    "session.saveChanges": "Сохранить изменения",
+    "session.finish": "Завершить сессию",
+    "session.addBowl": "Добавить чашу",
+    "session.finishCurrentFirst": "Сначала завершите текущую сессию.",
+    "session.newTitle": "Начать новый вечер",
+    "session.name": "Название сессии",
+    "session.namePlaceholder": "Например, Пятница с друзьями",
+    "session.editingNotice": "Редактирование сохранённой сессии. Итоги пересчитаются при сохранении.",
+    "session.cancelEditing": "Отменить",
+    "session.startedAt": "Старт: {date}",
+    "session.bowls": "Чаши",
+
+    "share.full": "Вся чаша",
+    "share.threeQuarters": "¾ чаши",
+    "share.half": "½ чаши",
+    "share.quarter": "¼ чаши",
+    "share.percent": "{percent}% чаши",
+
+    "items.split.everyone": "Все участники",
+    "items.split.selected": "Выбранные",
+    "items.split.single": "Один человек",
+    "items.chooseParticipants": "Выберите, на кого записать позицию.",
+    "items.defaultSurcharge": "Сервисный сбор",
+    "items.defaultName": "Позиция",
+    "items.percentOfBill": "{percent}% к счёту",
+    "items.nobodySelected": "Никто не выбран",
+    "items.title": "Чай, закуски и сборы",
+    "items.hint": "Чай, лимонад, депозит за стол или процент за обслуживание.",
+    "items.namePlaceholder": "Например, чайник чая",
+    "items.amountPlaceholder": "Сумма",
+    "items.kindLabel": "Тип позиции",
+    "items.kindPercent": "% к счёту",
+    "items.splitLabel": "На кого делить",
+    "items.add": "Добавить позицию",
+    "items.percentPlaceholder": "Процент",
+    "items.personLabel": "Кто платит",
+
+    "rounding.step.exact": "Точно, без округления",
+    "rounding.step.upTo": "До {amount}",
+    "rounding.remainder.order": "По порядку участников",
+    "rounding.remainder.fair": "По очереди между чашами",
+    "rounding.surplus.tip": "На чаевые",
+    "rounding.surplus.payer": "Плательщику",
+    "rounding.previewNoSession": "Начните сессию, чтобы увидеть, как она будет разделена.",
+    "rounding.previewEmpty": "В текущей сессии пока нет участников.",
+    "rounding.previewTip": "Чаевые: {amount}",
+    "rounding.previewPayer": "Плательщику: {amount}",
+    "rounding.title": "Округление",
+    "rounding.stepLabel": "Итог каждого участника",
+    "rounding.surplusLabel": "Излишек от округления",
+    "rounding.remainderLabel": "Остаток при делении чаши",
+    "rounding.preview": "Предпросмотр текущей сессии",
+
+    "bill.title": "Счёт: {name}",
+    "bill.bowls": "Чаши:",
+    "bill.noParticipants": "без участников",
+    "bill.extras": "Дополнительно:",
+    "bill.total": "Итого: {amount}",
+    "bill.transfers": "Переводы:",
+    "bill.copyPrompt": "Скопируйте текст счёта",
+    "bill.copied": "Счёт скопирован — вставьте его в чат",
+
+    "sync.syncing": "Синхронизация…",
+    "sync.synced": "Синхронизировано",
+    "sync.merged": "Изменения с другого устройства объединены",
+    "sync.offline": "Нет связи — изменения отправятся позже",
+    "sync.unauthorized": "Синхронизация недоступна без входа через Telegram",
+    "sync.tooLarge": "Данных слишком много для синхронизации — перенесите старые сессии в архив",
+    "sync.error": "Ошибка синхронизации",
+    "sync.at": " в {time}",
+
+    "welcome.guest": "Добро пожаловать, гость.",
+    "welcome.user": "Добро пожаловать, {name}!",
+
+    "live.requiresAuth": "Общая сессия доступна после входа через Telegram.",
+    "live.shareFailed": "Не удалось открыть доступ к сессии. Проверьте связь и попробуйте ещё раз.",
+    "live.linkCopied": "Ссылка скопирована",
+    "live.copyLinkPrompt": "Скопируйте ссылку",
+    "live.guest": "Гость",
+    "live.notFound": "Общая сессия не найдена. Попросите новую ссылку.",
+    "live.signInToOpen": "Чтобы открыть общую сессию, войдите через Telegram.",
+    "live.loadFailed": "Не удалось загрузить общую сессию.",
+    "live.joinSent": "Заявка отправлена владельцу сессии",
+    "live.joinFailed": "Не удалось отметиться в чаше",
+    "live.backToOwn": "Вернуться к своей сессии",
+    "live.loading": "Загружаем общую сессию…",
+    "live.hostedBy": "Ведёт {owner} · с {date}",
+    "live.owner": "владелец",
+    "live.inProgress": "Идёт",
+    "live.finished": "Завершена",
+    "live.youOwe": "Вы должны: {amount}",
+    "live.updated": "Обновлено {date}",
+    "live.bowls": "Чаши",
+    "live.noParticipants": "Участников нет",
+    "live.requestPending": "Заявка отправлена, ждём владельца",
+    "live.joinBowl": "Я в этой чаше",
+    "live.you": "вы",
+    "live.nobodyYet": "Пока никто не отмечен в чашах.",
+    "live.ownerHint": "Общая сессия: друзья видят чаши и итоги и могут отметиться в текущей чаше",
+    "live.copyLink": "Скопировать ссылку",
+    "live.invite": "Пригласить друзей",
+
+    "undo.action": "Отменить",
+
+    "cost.required": "Введите стоимость, используя только цифры.",
+    "cost.digitsOnly": "Можно вводить только цифры без пробелов и символов.",
+    "cost.tooManyDigits": "Стоимость не может содержать более {digits} цифр (максимум {max}).",
+    "cost.positive": "Стоимость должна быть положительным числом.",
+    "cost.tooHigh": "Стоимость не может превышать {max}.",
+
+    "bowl.defaultName": "Чаша {number}",
+    "bowl.fallbackName": "Чаша",
+    "bowl.participantRemoved": "Участник убран из чаши",
+    "bowl.smoking": "курим",
+    "bowl.name": "Название чаши",
+    "bowl.cost": "Стоимость ({symbol})",
+    "bowl.payer": "Кто оплатил чашу",
+    "bowl.payerNone": "Не указано",
+    "bowl.participants": "Участники",
+    "bowl.shareLabel": "Доля участия",
+    "bowl.addParticipantsHint": "Добавьте участников в чашу",
+    "bowl.participantPlaceholder": "Имя участника",
+
+    "timer.start": "Запустить таймер",
+    "timer.notStarted": "Таймер не запущен",
+    "timer.finish": "Чаша докурена",
+    "timer.finished": "Курили {duration}",
+    "timer.resume": "Продолжить",
+    "timer.historyDuration": "Длительность: {duration}",
+
+    "duration.minutes": "{minutes} мин",
+    "duration.hours": "{hours} ч {minutes} мин",
+
+    "reminders.title": "Напоминания",
+    "reminders.coalsLabel": "Угли, каждые N мин",
+    "reminders.longLabel": "Долгая чаша, мин",
+    "reminders.hint": "0 — напоминание выключено. Напоминания приходят, пока приложение открыто.",
+    "reminders.coals": "«{name}»: пора поменять угли",
+    "reminders.long": "«{name}» курится уже {duration}",
+    "reminders.ok": "Ок",
+    "reminders.invalid": "Введите целое число минут от 0 до {max}",
+
+    "history.deleted": "Сессия удалена",
+    "history.empty": "Сохранённых сессий пока нет.",
+    "history.allVenues": "Все заведения",
+    "history.selected": "Выбрано сессий: {count}",
+    "history.exportFiltered": "Экспорт найденного: {count}",
+    "history.exportAll": "Экспорт всей истории",
+    "history.csvPeople": "CSV по участникам",
+    "history.csvBowls": "CSV по чашам",
+    "history.emptyFiltered": "Под фильтр не подходит ни одна сессия.",
+    "history.searchPlaceholder": "Поиск по названию, заведению или участнику",
+    "history.minAmount": "Сумма от",
+    "history.maxAmount": "Сумма до",
+    "history.resetFilters": "Сбросить фильтры",
+    "history.showMore": "Показать ещё {count} (осталось {total})",
+    "history.selectForExport": "Выбрать для экспорта",
+    "history.edited": "Изменено {date}",
+    "history.receipt": "Чек",
+    "history.edit": "Редактировать",
+    "history.unpaidTransfers": " · Переводов не оплачено: {count}",
+    "history.details": "Показать детали",
+    "history.split": "Распределение",
+    "history.noParticipants": "Нет участников",
+    "history.extras": "Дополнительно",
+    "history.notAllocated": "Не распределено",
+    "history.paidBy": "Оплатил: {name}",
+
+    "venues.deleted": "Заведение «{name}» удалено",
+    "venues.label": "Заведение",
+    "venues.none": "Без заведения",
+    "venues.title": "Заведения",
+    "venues.name": "Название заведения",
+    "venues.price": "Цена",
+    "venues.menuItemPlaceholder": "Например, Фруктовая",
+    "venues.hint": "Меню заведения появится кнопками рядом с «Добавить чашу» в сессиях, где оно выбрано.",
+    "venues.unnamed": "Без названия",
+
+    "percent.integer": "Введите процент целым числом.",
+    "percent.range": "Процент должен быть от 1 до {max}.",
+
+    "csv.session": "Сессия",
+    "csv.venue": "Заведение",
+    "csv.start": "Начало",
+    "csv.end": "Конец",
+    "csv.currency": "Валюта",
+    "csv.bowl": "Чаша",
+    "csv.cost": "Стоимость",
+    "csv.payer": "Оплатил",
+    "csv.participants": "Участники",
+    "csv.amounts": "Доли",
+    "csv.person": "Участник",
+    "csv.bowlsCount": "Чаш",
+    "csv.bowlsTotal": "Чаши",
+    "csv.itemsTotal": "Доп. позиции",
+    "csv.surcharges": "Сборы",
+    "csv.total": "Итого",
+    "csv.paid": "Оплатил",
+
+    "receipt.bowls": "Чаши",
+    "receipt.extras": "Дополнительно",
+    "receipt.due": "К оплате",
+    "receipt.total": "Итого",
+    "receipt.transfers": "Переводы",
+    "receipt.paid": "оплачено",
+    "receipt.bowl": "Чаша",
+    "receipt.participants": "Участники",
+    "receipt.payer": "Оплатил",
+    "receipt.cost": "Стоимость",
+    "receipt.person": "Участник",
+    "receipt.bowlsCount": "Чаш",
+    "receipt.amount": "Сумма",
+
+    "import.noData": "Файл не содержит данных приложения",
+    "import.readFailed": "Не удалось прочитать файл: {message}",
+    "import.confirm": "Заменить текущие данные? В файле участников: {people}, сессий: {sessions}.",
+    "import.done": "Данные импортированы",
+
+    "people.aliasTaken": "Имя «{name}» уже занято другим участником. Объедините их, если это один человек.",
+    "people.mergeSame": "Выберите двух разных участников.",
+    "people.merged": "«{source}» объединён с «{target}»",
+    "people.deletedNamed": "Участник «{name}» удалён",
+    "people.deleted": "Участник удалён",
+    "people.itsYou": "это вы",
+    "people.title": "Сохранённые участники",
+    "people.empty": "Пока пусто. Добавьте участника в сессии или вручную ниже.",
+    "people.namePlaceholder": "Имя",
+    "people.aliasesPlaceholder": "Другие имена через запятую",
+    "people.profile": "Профиль",
+    "people.mergeTitle": "Объединить дубликаты",
+    "people.mergeHint": "Все сессии и история первого перейдут ко второму, а его имя станет псевдонимом.",
+    "people.mergeSource": "Кого объединить",
+    "people.mergeTarget": "С кем объединить",
+    "people.merge": "Объединить",
+
+    "summary.title": "Текущие итоги",
+    "summary.bowlsCount": "Чаш: {count}",
+    "summary.partial": ", из них частично: {count}",
+    "summary.exempt": ", бесплатно: {count}",
+    "summary.breakdown": "Чаши {bowls} · доп. {items}",
+    "summary.surcharges": " · сборы {amount}",
+    "summary.empty": "Добавьте участников в чаши, чтобы увидеть расчёт.",
+    "summary.transfers": "Переводы",
+    "summary.unallocated": "Не распределено между участниками: {amount}",
+    "summary.surplusTip": "Чаевые от округления: {amount}",
+    "summary.surplusPayer": "Плательщику от округления: {amount}",
+    "summary.unpaid": "Ещё не оплачено: {amount}",
+    "summary.overpaid": "Переплата: {amount}",
+
+    "currency.label": "Валюта",
+
+    "common.remove": "Убрать",
+    "common.add": "Добавить",
+    "common.share": "Поделиться",
+    "common.delete": "Удалить",
+
+    "payments.title": "Оплата",
+    "payments.progress": "{paid} из {total}",
+    "payments.hint": "Укажите, кто платил заведению: плательщика чаши или сумму за всю сессию.",
+    "payments.personLabel": "Кто заплатил",
+    "payments.add": "Оплатил",
+
+    "terms.fixedBadge": "фикс. {amount}",
+    "terms.exemptBadge": "бесплатно",
+    "terms.title": "Условия",
+    "terms.weight": "Вес",
+    "terms.fixedPlaceholder": "Фикс. сумма",
+    "terms.exempt": "Не платит",
+    "terms.sessionTitle": "Условия на всю сессию",
+    "terms.sessionHint": "Вес и освобождение применяются ко всем чашам, если в чаше не задано иначе.",
+
+    "telegram.usernameInvalid": "Имя пользователя Telegram: 5–32 латинских буквы, цифры или _.",
+    "telegram.linkMe": "Это я",
+    "telegram.unlink": "Отвязать Telegram",
+
+    "payment.title": "Реквизиты для перевода",
+    "payment.hint": "Появятся у переводов этому человеку: готовый текст и QR-код на точную сумму.",
+    "payment.phone": "СБП",
+    "payment.phonePlaceholder": "+7 900 123-45-67",
+    "payment.card": "Карта",
+    "payment.cardPlaceholder": "Номер карты",
+    "payment.bank": "Банк",
+    "payment.bankPlaceholder": "Название банка",
+    "payment.phoneInvalid": "Укажите телефон с кодом страны, например +7 900 123-45-67.",
+    "payment.cardInvalid": "Номер карты не прошёл проверку — проверьте цифры.",
+    "payment.show": "Как перевести",
+    "payment.for": "За «{session}»",
+    "payment.phoneLine": "СБП: {phone}",
+    "payment.phoneBankLine": "СБП: {phone}, {bank}",
+    "payment.cardLine": "Карта: {card}",
+    "payment.bankLine": "Банк: {bank}",
+    "payment.copy": "Скопировать",
+    "payment.copyPrompt": "Скопируйте текст перевода",
+    "payment.copied": "Реквизиты скопированы",
+    "payment.qrLabel": "QR-код с реквизитами и суммой перевода",
+
+    "groups.title": "Компании",
+    "groups.hint": "Соберите тех, с кем часто курите вместе, чтобы добавлять их в чашу одним нажатием.",
+    "groups.name": "Название компании",
+    "groups.label": "Компания",
+    "groups.none": "Без компании",
+    "groups.suggested": "Похоже, это она",
+    "groups.suggestedHint": "«{name}» — {sessions} в истории",
+    "groups.deleted": "Компания «{name}» удалена",
+
+    "profile.awaiting": "Ждёт переводов на {amount}",
+    "profile.toTransfer": "Осталось перевести {amount}",
+    "profile.settled": "Всё оплачено",
+    "profile.back": "Все участники",
+    "profile.lastSeen": "Последний раз: {date}",
+    "profile.neverSeen": "В сохранённых сессиях пока не встречается",
+    "profile.sessions": "Вечеров",
+    "profile.bowls": "Чаш",
+    "profile.spent": "Потрачено",
+    "profile.average": "В среднем за вечер",
+    "profile.unpaid": "Неоплаченные переводы",
+    "profile.owesOwed": "Перевести: {owes} · получить: {owed}",
+    "profile.history": "Сессии",
+
+    "settings.languageTitle": "Язык и валюта",
+    "settings.language": "Язык интерфейса",
+    "settings.currency": "Валюта новых сессий",
+    "settings.currencyHint": "Валюту можно сменить и в самой сессии. Суммы в разных валютах в статистике не складываются.",
+    "settings.generalTitle": "Общие настройки",
+    "settings.defaultCost": "Стоимость чаши по умолчанию ({symbol})",
+    "settings.defaultCostHint": "Значение используется при создании новой чаши. Суммы всегда округляются до целого числа.",
+
+    "archive.title": "Архив истории",
+    "archive.hint": "В основной истории {sessions}, в архиве {archived}. Архив хранится только на этом устройстве и отдельно для каждого аккаунта Telegram, он не синхронизируется: при синхронизации эти сессии уйдут из истории и на других устройствах. Сессии с неоплаченными переводами не архивируются.",
+    "archive.olderThan": "Возраст сессий",
+    "archive.olderThanMonths": "Старше {months} мес.",
+    "archive.action": "В архив",
+    "archive.restoreAll": "Вернуть всё из архива",
+    "archive.nothing": "Нет подходящих сессий для архива",
+    "archive.done": "В архив перенесено: {sessions}",
+    "archive.show": "Показывать архив с этого устройства ({count})",
+    "archive.badge": "Архив",
+    "archive.restore": "Вернуть",
+    "archive.confirmDelete": "Удалить «{name}» из архива? Это нельзя отменить.",
+
+    "backup.title": "Резервная копия",
+    "backup.hint": "Все участники, текущая сессия и история в одном JSON-файле. Версия схемы данных: {version}.",
+    "backup.export": "Скачать копию",
+    "backup.import": "Восстановить из файла",
+    "backup.quarantine": "Повреждённых записей отложено при загрузке: {count}. Остальные данные сохранены.",
+    "backup.quarantineExport": "Скачать",
+    "backup.quarantineClear": "Очистить",
+
+    "stats.empty": "Статистика появится после первой сохранённой сессии.",
+    "stats.from": "С",
+    "stats.to": "По",
+    "stats.allTime": "За всё время",
+    "stats.spent": "Потрачено",
+    "stats.sessionsBowls": "Вечеров / чаш",
+    "stats.averageBowl": "Средняя чаша",
+    "stats.averageSession": "Средний вечер",
+    "stats.averageDuration": "Средняя длительность",
+    "stats.longestBowl": "Самая долгая чаша",
+    "stats.byMonth": "Расходы по месяцам",
+    "stats.topSpenders": "Больше всех потратили",
+    "stats.topAttendees": "Чаще всех приходили",
+    "stats.topPairs": "Чаще всего курят вместе",
+    "stats.pair": "{first} и {second}",
+    "stats.noPairs": "Пока не было чаш на двоих и больше.",
+    "stats.emptyRange": "За выбранный период сессий нет.",
+    "stats.sessionsCount.one": "{count} вечер",
+    "stats.sessionsCount.few": "{count} вечера",
+    "stats.sessionsCount.many": "{count} вечеров",
+    "stats.sessionsCount.other": "{count} вечера",
+    "stats.bowlsCount.one": "{count} чаша",
+    "stats.bowlsCount.few": "{count} чаши",
+    "stats.bowlsCount.many": "{count} чаш",
+    "stats.bowlsCount.other": "{count} чаши",
+
+    "header.undo": "↶ Отменить",
+    "header.redo": "↷ Повторить",
+
+    "tabs.session": "Сессия",
+    "tabs.people": "Участники",
+    "tabs.settings": "Настройки",
+    "tabs.history": "Сессии",
+    "tabs.stats": "Статистика",
+  },
+  en: {
+    "errors.newerSchema": "Data was saved by a newer version of the app ({version})",
+    "errors.stateNotObject": "Saved state is not an object",
+
+    "quarantine.noPersonName": "Missing id or name",
+    "quarantine.duplicateId": "Duplicate id",
+    "quarantine.noVenueName": "Missing venue id or name",
+    "quarantine.noGroupName": "Missing group id or name",
+    "quarantine.brokenSession": "Current session is corrupted",
+    "quarantine.brokenEntry": "History entry is corrupted",
+
+    "session.defaultName": "Evening {date}",
+    "session.start": "Start session",
+    "session.saveChanges": "Save changes",
+    "session.finish": "Finish session",
+    "session.addBowl": "Add bowl",
+    "session.finishCurrentFirst": "Finish the current session first.",
+    "session.newTitle": "Start a new evening",
+    "session.name": "Session name",
+    "session.namePlaceholder": "E.g. Friday with friends",
+    "session.editingNotice": "Editing a saved session. Totals will be recalculated when you save.",
+    "session.cancelEditing": "Cancel",
+    "session.startedAt": "Started: {date}",
+    "session.bowls": "Bowls",
+
+    "share.full": "Whole bowl",
+    "share.threeQuarters": "¾ bowl",
+    "share.half": "½ bowl",
+    "share.quarter": "¼ bowl",
+    "share.percent": "{percent}% of bowl",
+
+    "items.split.everyone": "Everyone",
+    "items.split.selected": "Selected",
+    "items.split.single": "One person",
+    "items.chooseParticipants": "Choose who the item is for.",
+    "items.defaultSurcharge": "Service charge",
+    "items.defaultName": "Item",
+    "items.percentOfBill": "{percent}% of the bill",
+    "items.nobodySelected": "Nobody selected",
+    "items.title": "Tea, snacks and charges",
+    "items.hint": "Tea, lemonade, a table deposit or a service percentage.",
+    "items.namePlaceholder": "E.g. a pot of tea",
+    "items.amountPlaceholder": "Amount",
+    "items.kindLabel": "Item type",
+    "items.kindPercent": "% of the bill",
+    "items.splitLabel": "Split between",
+    "items.add": "Add item",
+    "items.percentPlaceholder": "Percent",
+    "items.personLabel": "Who pays",
+
+    "rounding.step.exact": "Exact, no rounding",
+    "rounding.step.upTo": "To {amount}",
+    "rounding.remainder.order": "In participant order",
+    "rounding.remainder.fair": "Rotating between bowls",
+    "rounding.surplus.tip": "As a tip",
+    "rounding.surplus.payer": "To the payer",
+    "rounding.previewNoSession": "Start a session to see how it will be split.",
+    "rounding.previewEmpty": "The current session has no participants yet.",
+    "rounding.previewTip": "Tip: {amount}",
+    "rounding.previewPayer": "To the payer: {amount}",
+    "rounding.title": "Rounding",
+    "rounding.stepLabel": "Each participant's total",
+    "rounding.surplusLabel": "Rounding surplus",
+    "rounding.remainderLabel": "Leftover when splitting a bowl",
+    "rounding.preview": "Current session preview",
+
+    "bill.title": "Bill: {name}",
+    "bill.bowls": "Bowls:",
+    "bill.noParticipants": "no participants",
+    "bill.extras": "Extras:",
+    "bill.total": "Total: {amount}",
+    "bill.transfers": "Transfers:",
+    "bill.copyPrompt": "Copy the bill text",
+    "bill.copied": "Bill copied — paste it into the chat",
+
+    "sync.syncing": "Syncing…",
+    "sync.synced": "Synced",
+    "sync.merged": "Changes from another device merged",
+    "sync.offline": "Offline — changes will be sent later",
+    "sync.unauthorized": "Sync requires signing in with Telegram",
+    "sync.tooLarge": "Too much data to sync — move old sessions to the archive",
+    "sync.error": "Sync error",
+    "sync.at": " at {time}",
+
+    "welcome.guest": "Welcome, guest.",
+    "welcome.user": "Welcome, {name}!",
+
+    "live.requiresAuth": "Shared sessions require signing in with Telegram.",
+    "live.shareFailed": "Could not share the session. Check your connection and try again.",
+    "live.linkCopied": "Link copied",
+    "live.copyLinkPrompt": "Copy the link",
+    "live.guest": "Guest",
+    "live.notFound": "Shared session not found. Ask for a new link.",
+    "live.signInToOpen": "Sign in with Telegram to open the shared session.",
+    "live.loadFailed": "Could not load the shared session.",
+    "live.joinSent": "Request sent to the session owner",
+    "live.joinFailed": "Could not join the bowl",
+    "live.backToOwn": "Back to my session",
+    "live.loading": "Loading the shared session…",
+    "live.hostedBy": "Hosted by {owner} · since {date}",
+    "live.owner": "the owner",
+    "live.inProgress": "In progress",
+    "live.finished": "Finished",
+    "live.youOwe": "You owe: {amount}",
+    "live.updated": "Updated {date}",
+    "live.bowls": "Bowls",
+    "live.noParticipants": "No participants",
+    "live.requestPending": "Request sent, waiting for the owner",
+    "live.joinBowl": "I'm in this bowl",
+    "live.you": "you",
+    "live.nobodyYet": "Nobody has joined a bowl yet.",
+    "live.ownerHint": "Shared session: friends see the bowls and totals and can join the current bowl",
+    "live.copyLink": "Copy link",
+    "live.invite": "Invite friends",
+
+    "undo.action": "Undo",
+
+    "cost.required": "Enter the cost using digits only.",
+    "cost.digitsOnly": "Only digits are allowed, without spaces or symbols.",
+    "cost.tooManyDigits": "The cost cannot have more than {digits} digits (maximum {max}).",
+    "cost.positive": "The cost must be a positive number.",
+    "cost.tooHigh": "The cost cannot exceed {max}.",
+
+    "bowl.defaultName": "Bowl {number}",
+    "bowl.fallbackName": "Bowl",
+    "bowl.participantRemoved": "Participant removed from the bowl",
+    "bowl.smoking": "smoking",
+    "bowl.name": "Bowl name",
+    "bowl.cost": "Cost ({symbol})",
+    "bowl.payer": "Who paid for the bowl",
+    "bowl.payerNone": "Not set",
+    "bowl.participants": "Participants",
+    "bowl.shareLabel": "Share of the bowl",
+    "bowl.addParticipantsHint": "Add participants to the bowl",
+    "bowl.participantPlaceholder": "Participant name",
+
+    "timer.start": "Start timer",
+    "timer.notStarted": "Timer not started",
+    "timer.finish": "Bowl finished",
+    "timer.finished": "Smoked for {duration}",
+    "timer.resume": "Resume",
+    "timer.historyDuration": "Duration: {duration}",
+
+    "duration.minutes": "{minutes} min",
+    "duration.hours": "{hours} h {minutes} min",
+
+    "reminders.title": "Reminders",
+    "reminders.coalsLabel": "Coals, every N min",
+    "reminders.longLabel": "Long bowl, min",
+    "reminders.hint": "0 turns a reminder off. Reminders only fire while the app is open.",
+    "reminders.coals": "“{name}”: time to change the coals",
+    "reminders.long": "“{name}” has been going for {duration}",
+    "reminders.ok": "OK",
+    "reminders.invalid": "Enter a whole number of minutes from 0 to {max}",
+
+    "history.deleted": "Session deleted",
+    "history.empty": "No saved sessions yet.",
+    "history.allVenues": "All venues",
+    "history.selected": "Sessions selected: {count}",
+    "history.exportFiltered": "Export matches: {count}",
+    "history.exportAll": "Export all history",
+    "history.csvPeople": "CSV by participant",
+    "history.csvBowls": "CSV by bowl",
+    "history.emptyFiltered": "No sessions match the filters.",
+    "history.searchPlaceholder": "Search by name, venue or participant",
+    "history.minAmount": "Amount from",
+    "history.maxAmount": "Amount to",
+    "history.resetFilters": "Reset filters",
+    "history.showMore": "Show {count} more ({total} left)",
+    "history.selectForExport": "Select for export",
+    "history.edited": "Edited {date}",
+    "history.receipt": "Receipt",
+    "history.edit": "Edit",
+    "history.unpaidTransfers": " · Unpaid transfers: {count}",
+    "history.details": "Show details",
+    "history.split": "Split",
+    "history.noParticipants": "No participants",
+    "history.extras": "Extras",
+    "history.notAllocated": "Not allocated",
+    "history.paidBy": "Paid by: {name}",
+
+    "venues.deleted": "Venue “{name}” deleted",
+    "venues.label": "Venue",
+    "venues.none": "No venue",
+    "venues.title": "Venues",
+    "venues.name": "Venue name",
+    "venues.price": "Price",
+    "venues.menuItemPlaceholder": "E.g. Fruity",
+    "venues.hint": "The venue menu appears as buttons next to “Add bowl” in sessions where it is selected.",
+    "venues.unnamed": "Untitled",
+
+    "percent.integer": "Enter the percentage as a whole number.",
+    "percent.range": "The percentage must be between 1 and {max}.",
+
+    "csv.session": "Session",
+    "csv.venue": "Venue",
+    "csv.start": "Start",
+    "csv.end": "End",
+    "csv.currency": "Currency",
+    "csv.bowl": "Bowl",
+    "csv.cost": "Cost",
+    "csv.payer": "Paid by",
+    "csv.participants": "Participants",
+    "csv.amounts": "Shares",
+    "csv.person": "Participant",
+    "csv.bowlsCount": "Bowl count",
+    "csv.bowlsTotal": "Bowls",
+    "csv.itemsTotal": "Extras",
+    "csv.surcharges": "Surcharges",
+    "csv.total": "Total",
+    "csv.paid": "Paid",
+
+    "receipt.bowls": "Bowls",
+    "receipt.extras": "Extras",
+    "receipt.due": "Amount due",
+    "receipt.total": "Total",
+    "receipt.transfers": "Transfers",
+    "receipt.paid": "paid",
+    "receipt.bowl": "Bowl",
+    "receipt.participants": "Participants",
+    "receipt.payer": "Paid by",
+    "receipt.cost": "Cost",
+    "receipt.person": "Participant",
+    "receipt.bowlsCount": "Bowls",
+    "receipt.amount": "Amount",
+
+    "import.noData": "The file contains no app data",
+    "import.readFailed": "Could not read the file: {message}",
+    "import.confirm": "Replace the current data? The file has {people} participants and {sessions} sessions.",
+    "import.done": "Data imported",
+
+    "people.aliasTaken": "The name “{name}” is already used by another participant. Merge them if it is the same person.",
+    "people.mergeSame": "Choose two different participants.",
+    "people.merged": "“{source}” merged into “{target}”",
+    "people.deletedNamed": "Participant “{name}” deleted",
+    "people.deleted": "Participant deleted",
+    "people.itsYou": "that's you",
+    "people.title": "Saved participants",
+    "people.empty": "Nobody yet. Add a participant in a session or manually below.",
+    "people.namePlaceholder": "Name",
+    "people.aliasesPlaceholder": "Other names, comma-separated",
+    "people.profile": "Profile",
+    "people.mergeTitle": "Merge duplicates",
+    "people.mergeHint": "All sessions and history of the first move to the second, and the first name becomes an alias.",
+    "people.mergeSource": "Merge whom",
+    "people.mergeTarget": "Merge into",
+    "people.merge": "Merge",
+
+    "summary.title": "Current totals",
+    "summary.bowlsCount": "Bowls: {count}",
+    "summary.partial": ", partially: {count}",
+    "summary.exempt": ", free: {count}",
+    "summary.breakdown": "Bowls {bowls} · extras {items}",
+    "summary.surcharges": " · charges {amount}",
+    "summary.empty": "Add participants to bowls to see the split.",
+    "summary.transfers": "Transfers",
+    "summary.unallocated": "Not allocated to anyone: {amount}",
+    "summary.surplusTip": "Tip from rounding: {amount}",
+    "summary.surplusPayer": "To the payer from rounding: {amount}",
+    "summary.unpaid": "Still unpaid: {amount}",
+    "summary.overpaid": "Overpaid: {amount}",
+
+    "currency.label": "Currency",
+
+    "common.remove": "Remove",
+    "common.add": "Add",
+    "common.share": "Share",
+    "common.delete": "Delete",
+
+    "payments.title": "Payments",
+    "payments.progress": "{paid} of {total}",
+    "payments.hint": "Record who paid the venue: a bowl's payer or an amount for the whole session.",
+    "payments.personLabel": "Who paid",
+    "payments.add": "Paid",
+
+    "terms.fixedBadge": "fixed {amount}",
+    "terms.exemptBadge": "free",
+    "terms.title": "Terms",
+    "terms.weight": "Weight",
+    "terms.fixedPlaceholder": "Fixed amount",
+    "terms.exempt": "Doesn't pay",
+    "terms.sessionTitle": "Terms for the whole session",
+    "terms.sessionHint": "Weight and exemption apply to every bowl unless the bowl says otherwise.",
+
+    "telegram.usernameInvalid": "Telegram username: 5–32 Latin letters, digits or _.",
+    "telegram.linkMe": "That's me",
+    "telegram.unlink": "Unlink Telegram",
+
+    "payment.title": "Payment details",
+    "payment.hint": "Shown next to transfers to this person: a ready-made message and a QR code for the exact amount.",
+    "payment.phone": "SBP",
+    "payment.phonePlaceholder": "+7 900 123-45-67",
+    "payment.card": "Card",
+    "payment.cardPlaceholder": "Card number",
+    "payment.bank": "Bank",
+    "payment.bankPlaceholder": "Bank name",
+    "payment.phoneInvalid": "Enter the phone number with a country code, e.g. +7 900 123-45-67.",
+    "payment.cardInvalid": "The card number failed the check — please verify the digits.",
+    "payment.show": "How to pay",
+    "payment.for": "For “{session}”",
+    "payment.phoneLine": "SBP (fast payment): {phone}",
+    "payment.phoneBankLine": "SBP (fast payment): {phone}, {bank}",
+    "payment.cardLine": "Card: {card}",
+    "payment.bankLine": "Bank: {bank}",
+    "payment.copy": "Copy",
+    "payment.copyPrompt": "Copy the payment message",
+    "payment.copied": "Payment details copied",
+    "payment.qrLabel": "QR code with payment details and amount",
+
+    "groups.title": "Groups",
+    "groups.hint": "Group the people you often smoke with to add them to a bowl in one tap.",
+    "groups.name": "Group name",
+    "groups.label": "Group",
+    "groups.none": "No group",
+    "groups.suggested": "Looks like this one",
+    "groups.suggestedHint": "“{name}” — {sessions} in history",
+    "groups.deleted": "Group “{name}” deleted",
+
+    "profile.awaiting": "Awaiting transfers of {amount}",
+    "profile.toTransfer": "Still to transfer {amount}",
+    "profile.settled": "All settled",
+    "profile.back": "All participants",
+    "profile.lastSeen": "Last seen: {date}",
+    "profile.neverSeen": "Not in any saved session yet",
+    "profile.sessions": "Evenings",
+    "profile.bowls": "Bowls",
+    "profile.spent": "Spent",
+    "profile.average": "Average per evening",
+    "profile.unpaid": "Unpaid transfers",
+    "profile.owesOwed": "To send: {owes} · to receive: {owed}",
+    "profile.history": "Sessions",
+
+    "settings.languageTitle": "Language and currency",
+    "settings.language": "Interface language",
+    "settings.currency": "Currency for new sessions",
+    "settings.currencyHint": "You can also change the currency inside a session. Amounts in different currencies are never added together in statistics.",
+    "settings.generalTitle": "General settings",
+    "settings.defaultCost": "Default bowl cost ({symbol})",
+    "settings.defaultCostHint": "Used when a new bowl is created. Amounts are always rounded to whole numbers.",
+
+    "archive.title": "History archive",
+    "archive.hint": "Main history holds {sessions}, the archive holds {archived}. The archive lives on this device only, separately for each Telegram account, and is never synced: with sync on, archived sessions also leave the history on your other devices. Sessions with unpaid transfers are never archived.",
+    "archive.olderThan": "Session age",
+    "archive.olderThanMonths": "Older than {months} mo.",
+    "archive.action": "Archive",
+    "archive.restoreAll": "Restore everything from the archive",
+    "archive.nothing": "No sessions to archive",
+    "archive.done": "Archived: {sessions}",
+    "archive.show": "Show this device's archive ({count})",
+    "archive.badge": "Archive",
+    "archive.restore": "Restore",
+    "archive.confirmDelete": "Delete “{name}” from the archive? This cannot be undone.",
+
+    "backup.title": "Backup",
+    "backup.hint": "All participants, the current session and history in one JSON file. Data schema version: {version}.",
+    "backup.export": "Download backup",
+    "backup.import": "Restore from file",
+    "backup.quarantine": "Corrupted records set aside on load: {count}. Everything else was kept.",
+    "backup.quarantineExport": "Download",
+    "backup.quarantineClear": "Clear",
+
+    "stats.empty": "Statistics appear after the first saved session.",
+    "stats.from": "From",
+    "stats.to": "To",
+    "stats.allTime": "All time",
+    "stats.spent": "Spent",
+    "stats.sessionsBowls": "Evenings / bowls",
+    "stats.averageBowl": "Average bowl",
+    "stats.averageSession": "Average evening",
+    "stats.averageDuration": "Average duration",
+    "stats.longestBowl": "Longest bowl",
+    "stats.byMonth": "Spending by month",
+    "stats.topSpenders": "Top spenders",
+    "stats.topAttendees": "Most frequent guests",
+    "stats.topPairs": "Who smokes together most",
+    "stats.pair": "{first} and {second}",
+    "stats.noPairs": "No shared bowls yet.",
+    "stats.emptyRange": "No sessions in the selected period.",
+    "stats.sessionsCount.one": "{count} evening",
+    "stats.sessionsCount.other": "{count} evenings",
+    "stats.bowlsCount.one": "{count} bowl",
+    "stats.bowlsCount.other": "{count} bowls",
+
+    "header.undo": "↶ Undo",
+    "header.redo": "↷ Redo",
+
+    "tabs.session": "Session",
+    "tabs.people": "People",
+    "tabs.settings": "Settings",
+    "tabs.history": "History",
+    "tabs.stats": "Stats",
+  },
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+export const setLocale = (locale) => {
+  currentLocale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+};
+
+export const getLocale = () => currentLocale;
+
+export const getLocaleTag = () => LOCALES[currentLocale].tag;
+
+// Язык по умолчанию для нового пользователя: из Telegram, иначе из браузера
+export const detectLocale = () => {
+  const telegramCode = typeof window !== "undefined" ? window.Telegram?.WebApp?.initDataUnsafe?.user?.language_code : null;
+  const code = telegramCode || globalThis.navigator?.language || "";
+  return /^(ru|uk|be|kk)\b/i.test(code) ? "ru" : "en";
+};
+
+// Недостающий перевод берётся из русской таблицы, а если нет и там — показывается сам ключ
+export const t = (key, params = {}) => {
+  const template = TRANSLATIONS[currentLocale][key] ?? TRANSLATIONS[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+export const tn = (key, count, params = {}) => {
+  const form = new Intl.PluralRules(getLocaleTag()).select(count);
+  const table = TRANSLATIONS[currentLocale];
+  const resolved = `${key}.${form}` in table ? `${key}.${form}` : `${key}.other`;
+  return t(resolved, { count, ...params });
+};
@@ -1,56 +1,248 @@
+import { LOCALES, detectLocale, getLocale, getLocaleTag, setLocale, t, tn } from "./i18n.js";
+import { patchHtml } from "./dom.js";
+import { renderQrSvg } from "./qr.js";
+import {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  MAX_BANK_NAME_LENGTH,
+  MAX_COST_DIGITS,
+  MAX_COST_VALUE,
+  MAX_PERCENT_VALUE,
+  MAX_REMINDER_MINUTES,
+  PARTICIPATION_SHARES,
+  REMAINDER_MODES,
+  ROUNDING_STEPS,
+  SURPLUS_MODES,
+  WEIGHT_OPTIONS,
+  addBowl,
+  addPerson,
+  compactHistoryEntry,
+  computeHistoryStats,
+  computePersonProfile,
+  computeSettlement,
+  computeSummary,
+  createId,
+  createInitialState,
+  deletePerson,
+  endSession,
+  ensureActiveBowl,
+  filterHistory,
+  findPersonByName,
+  findPersonByTelegramId,
+  getBowlDuration,
+  getDefaultSessionName,
+  getHistoryParticipantKey,
+  getParticipantShare,
+  getParticipantTerms,
+  getPersonMap,
+  getReminderSettings,
+  getRoundingSettings,
+  getSessionVenue,
+  isArchiveEntry,
+  isPlainObject,
+  keyHistoryEntryById,
+  mergePeople,
+  migrateState,
+  reassignPersonInEntry,
+  renamePerson,
+  reopenSession,
+  sanitizeState,
+  sortHistory,
+  startSession,
+  suggestGroup,
+  updatePaymentDetail,
+} from "./core.js";
 
 const STORAGE_KEY = "hookahSpliterStateV2";
-const MAX_COST_DIGITS = 5;
-const MAX_COST_VALUE = Number("9".repeat(MAX_COST_DIGITS));
+const LEGACY_STORAGE_KEYS = ["hookahSpliterStateV1", "hookahSpliterState"];
+const UNDO_STORAGE_KEY = "hookahSpliterUndoV2";
+const ARCHIVE_STORAGE_KEY = "hookahSpliterArchiveV1";
+const UNDO_LIMIT = 50;
+const UNDO_PERSIST_LIMIT = 10;
+const UNDO_COALESCE_MS = 1500;
 const API_BASE = "http://127.0.0.1:8000";
+const SYNC_META_KEY = "hookahSpliterSyncV1";
+const SYNC_DEBOUNCE_MS = 1500;
+const SYNC_PULL_INTERVAL_MS = 60000;
+const SYNC_MAX_ATTEMPTS = 3;
+const LIVE_POLL_INTERVAL_MS = 4000;
+const LIVE_PUSH_DEBOUNCE_MS = 800;
+const BOWL_TIMER_TICK_MS = 1000;
+const HISTORY_PAGE_SIZE = 20;
+const ARCHIVE_AGE_OPTIONS = [3, 6, 12];
 
-const createInitialState = () => ({
-  settings: {
-    defaultBowlCost: 500,
-  },
-  people: [],
-  currentSession: null,
-  savedSessions: [],
-});
+// Данные на устройстве раздельны для каждого аккаунта Telegram: к ключам хранилища
+// добавляется id пользователя. Иначе второй аккаунт на том же устройстве получил бы
+// чужих людей, историю, архив и базу синхронизации. Вне Telegram ключи остаются общими
+const USER_SCOPED_KEYS = [STORAGE_KEY, ...LEGACY_STORAGE_KEYS, ARCHIVE_STORAGE_KEY, SYNC_META_KEY];
+let storageUserId = null;
+
+const scopedKey = (key) => (storageUserId ? `${key}.${storageUserId}` : key);
+
+const setStorageUser = (userId) => {
+  storageUserId = userId ? String(userId) : null;
+  if (!storageUserId || typeof window === "undefined") return;
+  const storage = window.localStorage;
+  if (storage.getItem(scopedKey(STORAGE_KEY))) return;
+  // Данные, сохранённые до разделения по аккаунтам, забирает первый вошедший пользователь
+  USER_SCOPED_KEYS.forEach((key) => {
+    const value = storage.getItem(key);
+    if (value === null) return;
+    storage.setItem(scopedKey(key), value);
+    storage.removeItem(key);
+  });
+};
 
 const loadState = () => {
   if (typeof window === "undefined") {
     return createInitialState();
   }
+  let raw = window.localStorage.getItem(scopedKey(STORAGE_KEY));
+  let storedVersion = 2;
+  if (!raw) {
+    const legacyKey = LEGACY_STORAGE_KEYS.map(scopedKey).find((key) => window.localStorage.getItem(key));
+    if (!legacyKey) return createInitialState();
+    raw = window.localStorage.getItem(legacyKey);
+    storedVersion = 1;
+  }
   try {
-    const raw = window.localStorage.getItem(STORAGE_KEY);
-    if (!raw) return createInitialState();
     const parsed = JSON.parse(raw);
-    return {
-      ...createInitialState(),
-      ...parsed,
-      settings: { ...createInitialState().settings, ...(parsed.settings || {}) },
-      people: Array.isArray(parsed.people) ? parsed.people : [],
-      savedSessions: Array.isArray(parsed.savedSessions) ? parsed.savedSessions : [],
-      currentSession: parsed.currentSession || null,
-    };
+    if (!isPlainObject(parsed)) {
+      throw new Error(t("errors.stateNotObject"));
+    }
+    return sanitizeState(migrateState({ schemaVersion: storedVersion, ...parsed }));
   } catch (error) {
     console.warn("Не удалось прочитать сохранённое состояние", error);
+    // Нечитаемые данные не затираем: откладываем копию под отдельный ключ
+    try {
+      window.localStorage.setItem(`${scopedKey(STORAGE_KEY)}.corrupt-${Date.now()}`, raw);
+    } catch (backupError) {
+      console.warn("Не удалось сохранить копию повреждённого состояния", backupError);
+    }
     return createInitialState();
   }
 };
 
+const loadStoredLocale = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(scopedKey(STORAGE_KEY)) || "null")?.settings?.locale || null;
+  } catch {
+    return null;
+  }
+};
+
 const saveState = (state) => {
   if (typeof window === "undefined") return;
-  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  window.localStorage.setItem(scopedKey(STORAGE_KEY), JSON.stringify(state));
+};
+
+// Архив старых сессий лежит под своим ключом: основное состояние остаётся маленьким,
+// не попадает в снимки отмены и не уходит в синхронизацию
+const loadArchive = () => {
+  if (typeof window === "undefined") return [];
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(scopedKey(ARCHIVE_STORAGE_KEY)) || "[]");
+    return Array.isArray(parsed) ? parsed.filter(isArchiveEntry).map(keyHistoryEntryById) : [];
+  } catch (error) {
+    console.warn("Не удалось прочитать архив истории", error);
+    return [];
+  }
+};
+
+const saveArchive = (archive) => {
+  if (typeof window === "undefined") return;
+  window.localStorage.setItem(scopedKey(ARCHIVE_STORAGE_KEY), JSON.stringify(archive));
 };
 
-const createId = () => `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+// Историю отмен держим в sessionStorage: она переживает перезагрузку вкладки,
+// но не копится вечно рядом с основным состоянием
+const loadUndoHistory = () => {
+  const empty = { undo: [], redo: [] };
+  if (typeof window === "undefined") return empty;
+  try {
+    const parsed = JSON.parse(window.sessionStorage.getItem(scopedKey(UNDO_STORAGE_KEY)) || "null");
+    if (!parsed) return empty;
+    return {
+      undo: Array.isArray(parsed.undo) ? parsed.undo.filter((item) => typeof item === "string") : [],
+      redo: Array.isArray(parsed.redo) ? parsed.redo.filter((item) => typeof item === "string") : [],
+    };
+  } catch (error) {
+    console.warn("Не удалось прочитать историю отмен", error);
+    return empty;
+  }
+};
 
-const getDefaultSessionName = () => {
-  const now = new Date();
-  return `Вечер ${now.toLocaleDateString("ru-RU", {
-    day: "2-digit",
-    month: "2-digit",
-  })}`;
+const saveUndoHistory = (history) => {
+  if (typeof window === "undefined") return;
+  try {
+    window.sessionStorage.setItem(
+      scopedKey(UNDO_STORAGE_KEY),
+      JSON.stringify({
+        undo: history.undo.slice(-UNDO_PERSIST_LIMIT),
+        redo: history.redo.slice(-UNDO_PERSIST_LIMIT),
+      }),
+    );
+  } catch (error) {
+    // Переполненное хранилище не должно ломать основное сохранение
+    console.warn("Не удалось сохранить историю отмен", error);
+  }
+};
+
+// Привязка хранит только то, что нужно для аватара и упоминаний
+const toTelegramLink = (user) => ({
+  id: user.id ?? null,
+  username: user.username || null,
+  photoUrl: user.photoUrl || user.photo_url || null,
+});
+
+const renderAvatar = (person) => {
+  const photoUrl = person?.telegram?.photoUrl;
+  if (photoUrl) {
+    return `<img class="avatar" src="${escapeHtml(photoUrl)}" alt="" loading="lazy" />`;
+  }
+  const initial = (person?.name || "?").trim().charAt(0).toUpperCase();
+  return `<span class="avatar avatar-initial" aria-hidden="true">${escapeHtml(initial)}</span>`;
 };
 
-const formatCurrency = (value) => `${Math.round(value || 0).toLocaleString("ru-RU")} ₽`;
+const formatShare = (share) => {
+  const preset = PARTICIPATION_SHARES.find((option) => option.value === share);
+  if (preset) return t(preset.label);
+  return t("share.percent", { percent: Math.round(share * 100) });
+};
+
+const ITEM_SPLIT_LABELS = {
+  everyone: "items.split.everyone",
+  selected: "items.split.selected",
+  single: "items.split.single",
+};
+
+const formatWeight = (weight) => `×${weight.toLocaleString(getLocaleTag())}`;
+
+const formatRoundingStep = (step, currency) =>
+  step === 1 ? t("rounding.step.exact") : t("rounding.step.upTo", { amount: formatCurrency(step, currency) });
+
+// Суммы целые: копейки и центы при делении счёта не нужны
+const formatCurrency = (value, currency = DEFAULT_CURRENCY) =>
+  new Intl.NumberFormat(getLocaleTag(), {
+    style: "currency",
+    currency,
+    currencyDisplay: "narrowSymbol",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(Math.round(value || 0));
+
+const getCurrencySymbol = (currency = DEFAULT_CURRENCY) =>
+  new Intl.NumberFormat(getLocaleTag(), { style: "currency", currency, currencyDisplay: "narrowSymbol" })
+    .formatToParts(0)
+    .find((part) => part.type === "currency")?.value || currency;
+
+const getCurrencyName = (currency) => {
+  try {
+    return new Intl.DisplayNames([getLocaleTag()], { type: "currency" }).of(currency);
+  } catch {
+    return currency;
+  }
+};
 
 const escapeHtml = (value) =>
   String(value ?? "")
@@ -63,15 +255,56 @@ const escapeHtml = (value) =>
 const formatDateTime = (isoString) => {
   if (!isoString) return "";
   const date = new Date(isoString);
-  return `${date.toLocaleDateString("ru-RU", {
+  return `${date.toLocaleDateString(getLocaleTag(), {
     day: "2-digit",
     month: "2-digit",
-  })}, ${date.toLocaleTimeString("ru-RU", {
+  })}, ${date.toLocaleTimeString(getLocaleTag(), {
     hour: "2-digit",
     minute: "2-digit",
   })}`;
 };
 
+const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Разделитель «;» и BOM — чтобы Excel с русской локалью сразу разложил столбцы и не испортил кириллицу.
+// Имена приходят и из профилей Telegram, поэтому текст, похожий на формулу, экранируем апострофом
+const toCsv = (rows) =>
+  "\ufeff" +
+  rows
+    .map((row) =>
+      row
+        .map((value) => {
+          let text = value === null || value === undefined ? "" : String(value);
+          if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+          return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(";"),
+    )
+    .join("\r\n");
+
+const formatCsvDate = (isoString) => {
+  if (!isoString) return "";
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) return "";
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatMonthKey = (key) => {
+  const [year, month] = key.split("-").map(Number);
+  const monthName = new Date(year, month - 1, 1).toLocaleDateString(getLocaleTag(), { month: "long" });
+  return `${monthName} ${year}`;
+};
+
 const formatDateRange = (start, end) => {
   const startText = formatDateTime(start);
   const endText = formatDateTime(end);
@@ -80,31 +313,398 @@ const formatDateRange = (start, end) => {
   return `${startText} — ${endText}`;
 };
 
+const formatDuration = (ms) => {
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours ? t("duration.hours", { hours, minutes: String(minutes).padStart(2, "0") }) : t("duration.minutes", { minutes });
+};
+
+const formatTimer = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, "0");
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Текстовый чек для чата: чаши, доп. позиции, кто сколько должен и кто кому переводит
+const formatBillText = (bill) => {
+  const mention = (personId, name) => {
+    const username = bill.mentions?.[personId];
+    return username ? `${name} (@${username})` : name;
+  };
+  const currency = bill.currency || DEFAULT_CURRENCY;
+  const lines = [t("bill.title", { name: bill.name })];
+  const dateRange = formatDateRange(bill.startedAt, bill.endedAt);
+  if (dateRange) lines.push(dateRange);
+
+  if (bill.bowls.length) {
+    lines.push("", t("bill.bowls"));
+    bill.bowls.forEach((bowl) => {
+      const participants = bowl.participants.length ? bowl.participants.join(", ") : t("bill.noParticipants");
+      lines.push(`• ${bowl.name} — ${formatCurrency(bowl.cost, currency)}: ${participants}`);
+    });
+  }
+  const items = (bill.items || []).filter((item) => item.amount > 0);
+  if (items.length) {
+    lines.push("", t("bill.extras"));
+    items.forEach((item) => lines.push(`• ${item.name} — ${formatCurrency(item.amount, currency)}`));
+  }
+
+  lines.push("", t("bill.total", { amount: formatCurrency(bill.total, currency) }));
+  bill.rows.forEach((row) => lines.push(`• ${mention(row.personId, row.name)} — ${formatCurrency(row.total, currency)}`));
+
+  if (bill.transfers.length) {
+    lines.push("", t("bill.transfers"));
+    bill.transfers.forEach((transfer) => {
+      const mark = transfer.paid ? " ✓" : "";
+      lines.push(`• ${mention(transfer.fromId, transfer.fromName)} → ${transfer.toName}: ${formatCurrency(transfer.amount, currency)}${mark}`);
+    });
+  }
+  return lines.join("\n");
+};
+
+const formatCardNumber = (card) => card.replace(/(\d{4})(?=\d)/g, "$1 ");
+
+// Текст для перевода одному получателю: кому, сколько, за что и куда переводить
+const formatPaymentMessage = ({ transfer, currency, sessionName, payment }) => {
+  const lines = [`${transfer.fromName} → ${transfer.toName}: ${formatCurrency(transfer.amount, currency)}`];
+  if (sessionName) lines.push(t("payment.for", { session: sessionName }));
+  if (payment.phone) {
+    lines.push(payment.bank
+      ? t("payment.phoneBankLine", { phone: payment.phone, bank: payment.bank })
+      : t("payment.phoneLine", { phone: payment.phone }));
+  }
+  if (payment.card) lines.push(t("payment.cardLine", { card: formatCardNumber(payment.card) }));
+  if (payment.bank && !payment.phone) lines.push(t("payment.bankLine", { bank: payment.bank }));
+  return lines.join("\n");
+};
+
+// Если буфер обмена недоступен, показываем текст в окне, чтобы его можно было скопировать вручную
+const copyText = async (text, promptTitle) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    window.prompt(promptTitle, text);
+    return false;
+  }
+};
+
+// Внутри Telegram открываем штатный выбор чата, в браузере — Web Share API или буфер обмена
+const shareText = async (text, title) => {
+  const tg = window.Telegram?.WebApp;
+  if (tg?.initData && typeof tg.openTelegramLink === "function") {
+    tg.openTelegramLink(`https://t.me/share/url?url=${encodeURIComponent(text)}`);
+    return "telegram";
+  }
+  if (typeof navigator.share === "function") {
+    try {
+      await navigator.share({ title, text });
+      return "shared";
+    } catch (error) {
+      if (error?.name === "AbortError") return null;
+    }
+  }
+  return (await copyText(text, t("bill.copyPrompt"))) ? "copied" : null;
+};
+
+// Базовый URL бэка: локалка по умолчанию, можно переопределить window.API_BASE
+const getApiBase = () => (typeof window !== "undefined" && window.API_BASE ? window.API_BASE : API_BASE);
+
+const apiRequest = (path, { method = "GET", body } = {}) =>
+  fetch(`${getApiBase()}${path}`, {
+    method,
+    credentials: "include",
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+// Код общей сессии приходит через start_param Mini App или ?join= в обычном браузере
+const getJoinCode = () => {
+  const startParam = window.Telegram?.WebApp?.initDataUnsafe?.start_param;
+  if (startParam) return startParam;
+  return new URLSearchParams(window.location.search).get("join");
+};
+
+const buildShareLink = (code) => {
+  if (window.TELEGRAM_APP_URL) {
+    return `${window.TELEGRAM_APP_URL}?startapp=${encodeURIComponent(code)}`;
+  }
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.hash = "";
+  url.searchParams.set("join", code);
+  return url.toString();
+};
+
+// На сервер уходят только данные пользователя; настройки остаются на устройстве.
+// Снимки для редактирования тоже: с ними длинная история не влезла бы в лимит сервера
+const pickSyncedData = (state) => ({
+  people: state.people,
+  venues: state.venues,
+  groups: state.groups,
+  currentSession: state.currentSession,
+  savedSessions: state.savedSessions.map(({ snapshot, ...entry }) => entry),
+});
+
+const getPayloadSize = (data) => new TextEncoder().encode(JSON.stringify(data)).length;
+
+// Трёхстороннее слияние списков по id относительно последней общей версии:
+// правка побеждает удаление, при правке с обеих сторон выигрывает локальная
+const mergeRecords = (base, local, remote) => {
+  const baseMap = new Map((base || []).map((record) => [record.id, JSON.stringify(record)]));
+  const localMap = new Map((local || []).map((record) => [record.id, record]));
+  const remoteMap = new Map((remote || []).map((record) => [record.id, record]));
+  const ids = Array.from(new Set([...remoteMap.keys(), ...localMap.keys()]));
+  return ids
+    .map((id) => {
+      const localRecord = localMap.get(id);
+      const remoteRecord = remoteMap.get(id);
+      const baseRecord = baseMap.get(id);
+      const localChanged = Boolean(localRecord) && JSON.stringify(localRecord) !== baseRecord;
+      const remoteChanged = Boolean(remoteRecord) && JSON.stringify(remoteRecord) !== baseRecord;
+      if (localRecord && remoteRecord) return localChanged ? localRecord : remoteRecord;
+      if (localRecord) return baseRecord === undefined || localChanged ? localRecord : null;
+      return baseRecord === undefined || remoteChanged ? remoteRecord : null;
+    })
+    .filter(Boolean);
+};
+
+const mergeSyncedData = (base, local, remote) => {
+  const baseSession = JSON.stringify(base?.currentSession ?? null);
+  const localSession = JSON.stringify(local.currentSession ?? null);
+  return {
+    people: mergeRecords(base?.people, local.people, remote.people).sort((a, b) => a.name.localeCompare(b.name, "ru")),
+    venues: mergeRecords(base?.venues, local.venues, remote.venues),
+    groups: mergeRecords(base?.groups, local.groups, remote.groups),
+    currentSession: localSession === baseSession ? remote.currentSession ?? null : local.currentSession,
+    savedSessions: mergeRecords(base?.savedSessions, local.savedSessions, remote.savedSessions).sort((a, b) =>
+      String(b.endedAt || "").localeCompare(String(a.endedAt || "")),
+    ),
+  };
+};
+
+const loadSyncMeta = () => {
+  const empty = { revision: 0, base: null, lastSyncedAt: null };
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(scopedKey(SYNC_META_KEY)) || "null");
+    return isPlainObject(parsed) ? { ...empty, ...parsed } : empty;
+  } catch (error) {
+    console.warn("Не удалось прочитать состояние синхронизации", error);
+    return empty;
+  }
+};
+
+const saveSyncMeta = (meta) => {
+  window.localStorage.setItem(scopedKey(SYNC_META_KEY), JSON.stringify(meta));
+};
+
+const SYNC_STATUS_LABELS = {
+  syncing: "sync.syncing",
+  synced: "sync.synced",
+  merged: "sync.merged",
+  offline: "sync.offline",
+  unauthorized: "sync.unauthorized",
+  tooLarge: "sync.tooLarge",
+  error: "sync.error",
+};
+
+// Синхронизация людей и сессий с бэкендом. Всё, что изменено без сети,
+// копится в очереди и уходит одной записью; при конфликте ревизий
+// данные сливаются с серверной версией и отправляются повторно
+class StateSync {
+  constructor({ getState, applyData, onStatus }) {
+    this.getState = getState;
+    this.applyData = applyData;
+    this.onStatus = onStatus;
+    this.meta = loadSyncMeta();
+    this.enabled = false;
+    this.queue = Promise.resolve();
+    this.timer = null;
+    this.rejectedSize = null;
+  }
+
+  start() {
+    if (this.enabled) return this.queue;
+    this.enabled = true;
+    window.addEventListener("online", () => this.schedule(0));
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") this.schedule(0);
+    });
+    window.setInterval(() => this.schedule(0), SYNC_PULL_INTERVAL_MS);
+    return this.run();
+  }
+
+  hasLocalChanges(data = pickSyncedData(this.getState())) {
+    // Пустое устройство, ни разу не синхронизированное, отправлять нечего
+    if (!this.meta.base && !data.people.length && !data.savedSessions.length && !data.currentSession) {
+      return false;
+    }
+    return JSON.stringify(data) !== JSON.stringify(this.meta.base);
+  }
+
+  notifyChange() {
+    if (!this.enabled || !this.hasLocalChanges()) return;
+    this.schedule(SYNC_DEBOUNCE_MS);
+  }
+
+  schedule(delay) {
+    if (!this.enabled) return;
+    window.clearTimeout(this.timer);
+    this.timer = window.setTimeout(() => this.run(), delay);
+  }
+
+  run() {
+    this.queue = this.queue.then(() => this.syncOnce()).catch((error) => {
+      console.warn("Sync error:", error);
+      // fetch без сети падает с TypeError
+      this.onStatus(navigator.onLine === false || error?.name === "TypeError" ? "offline" : "error");
+    });
+    return this.queue;
+  }
+
+  async request(method, body) {
+    return apiRequest("/sync/state", { method, body });
+  }
+
+  acceptRemote(remote) {
+    const current = pickSyncedData(this.getState());
+    const hadLocalChanges = this.hasLocalChanges(current);
+    const data = remote.data
+      ? hadLocalChanges ? mergeSyncedData(this.meta.base, current, remote.data) : remote.data
+      : current;
+    this.meta = { ...this.meta, revision: remote.revision, base: remote.data };
+    saveSyncMeta(this.meta);
+    if (JSON.stringify(data) !== JSON.stringify(current)) {
+      this.applyData(data);
+    }
+    return hadLocalChanges && Boolean(remote.data);
+  }
+
+  async syncOnce() {
+    this.onStatus("syncing");
+    let merged = false;
+    let settled = false;
+    for (let attempt = 0; attempt < SYNC_MAX_ATTEMPTS && !settled; attempt += 1) {
+      const data = pickSyncedData(this.getState());
+      if (!this.hasLocalChanges(data)) {
+        const response = await this.request("GET");
+        if (response.status === 401) {
+          this.onStatus("unauthorized");
+          return;
+        }
+        if (!response.ok) throw new Error(`sync_get_${response.status}`);
+        const remote = await response.json();
+        if (remote.revision !== this.meta.revision) {
+          merged = this.acceptRemote(remote) || merged;
+          if (this.hasLocalChanges()) continue;
+        }
+        settled = true;
+        continue;
+      }
+
+      // Запись такого размера сервер уже отверг: не повторяем её, пока данных не станет меньше
+      const size = getPayloadSize(data);
+      if (this.rejectedSize && size >= this.rejectedSize) {
+        this.onStatus("tooLarge");
+        return;
+      }
+      const response = await this.request("PUT", { baseRevision: this.meta.revision, data });
+      if (response.status === 401) {
+        this.onStatus("unauthorized");
+        return;
+      }
+      if (response.status === 413) {
+        this.rejectedSize = size;
+        this.onStatus("tooLarge");
+        return;
+      }
+      if (response.status === 409) {
+        merged = this.acceptRemote(await response.json()) || merged;
+        continue;
+      }
+      if (!response.ok) throw new Error(`sync_put_${response.status}`);
+      const result = await response.json();
+      this.rejectedSize = null;
+      this.meta = { ...this.meta, revision: result.revision, base: data };
+      saveSyncMeta(this.meta);
+      settled = true;
+    }
+    if (!settled) throw new Error("sync_conflict_unresolved");
+    this.meta.lastSyncedAt = new Date().toISOString();
+    saveSyncMeta(this.meta);
+    this.onStatus(merged ? "merged" : "synced");
+  }
+}
+
+// Скрипт SDK подключён всегда, но вне Telegram initData пустая — тогда работаем как обычная страница
+const getTelegramWebApp = () => {
+  const tg = window.Telegram?.WebApp;
+  return tg?.initData ? tg : null;
+};
+
+const triggerHaptic = (kind) => {
+  const tg = getTelegramWebApp();
+  if (!tg?.isVersionAtLeast?.("6.1")) return;
+  try {
+    if (kind === "add") {
+      tg.HapticFeedback.impactOccurred("light");
+    } else if (kind === "remove" || kind === "reminder") {
+      tg.HapticFeedback.notificationOccurred("warning");
+    } else if (kind === "error") {
+      tg.HapticFeedback.notificationOccurred("error");
+    } else {
+      tg.HapticFeedback.selectionChanged();
+    }
+  } catch {}
+};
+
+// Цвета темы SDK сам кладёт в переменные --tg-theme-*; здесь включаем их и тёмную схему Bootstrap
+const applyTelegramTheme = (tg) => {
+  const root = document.documentElement;
+  root.classList.add("tg-themed");
+  root.dataset.bsTheme = tg.colorScheme === "dark" ? "dark" : "light";
+  if (tg.isVersionAtLeast?.("6.1")) {
+    try {
+      tg.setHeaderColor("secondary_bg_color");
+      tg.setBackgroundColor("secondary_bg_color");
+    } catch {}
+  }
+};
+
+const formatWelcome = (user) => {
+  if (!user?.first_name) return t("welcome.guest");
+  return t("welcome.user", { name: [user.first_name, user.last_name].filter(Boolean).join(" ") });
+};
+
 // Отправляем initData на бэкенд и выводим «Добро пожаловать, <имя>»
 async function initTelegramWelcome() {
   const out = document.getElementById("welcome");
-  if (!out) return;
+  if (!out) return null;
 
-  // Базовый URL бэка: локалка по умолчанию, можно переопределить window.API_BASE
-  const API_BASE = (typeof window !== "undefined" && window.API_BASE)
-    ? window.API_BASE
-    : "http://127.0.0.1:8000";
-
-  let label = "Добро пожаловать, гость.";
+  let auth = null;
 
   try {
     // Telegram SDK может отсутствовать вне Mini App
     const tg = window.Telegram?.WebApp;
     try { tg?.ready?.(); } catch {}
+    const nativeTg = getTelegramWebApp();
+    if (nativeTg) {
+      try { nativeTg.expand(); } catch {}
+      applyTelegramTheme(nativeTg);
+      nativeTg.onEvent("themeChanged", () => applyTelegramTheme(nativeTg));
+    }
 
     // Берём initData строго из Telegram.WebApp, без ручной декодировки
     const initData = tg?.initData || "";
 
-    const res = await fetch(`${API_BASE}/auth/telegram`, {
+    // Кука sid нужна синхронизации, поэтому принимаем её и кросс-доменно
+    const res = await fetch(`${getApiBase()}/auth/telegram`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      // В проде (кросс-домен на куках) раскомментируй:
-      // credentials: "include",
+      credentials: "include",
       body: JSON.stringify({ initData })
     });
 
@@ -114,237 +714,963 @@ async function initTelegramWelcome() {
     if (!res.ok) {
       console.warn("Auth failed:", { status: res.status, data });
     } else {
-      const u = data?.user || null;
-      if (u?.first_name) {
-        const fullName = [u.first_name, u.last_name].filter(Boolean).join(" ");
-        label = `Добро пожаловать, ${fullName}!`;
-      }
+      auth = { user: data?.user || null };
     }
   } catch (err) {
     console.warn("initTelegramWelcome error:", err);
   } finally {
-    out.textContent = label;
+    out.textContent = formatWelcome(auth?.user);
   }
+  return auth;
 }
 
 class HookahSpliterApp {
-  constructor() {
+  constructor({ auth = null } = {}) {
+    this.auth = auth;
+    this.live = { timer: null, pushTimer: null, lastPushed: null, pendingAcks: new Set() };
+    this.liveView = null;
     this.state = loadState();
+    // Сразу записываем результат миграций, чтобы карантин не пополнялся при каждом запуске
+    saveState(this.state);
     this.elements = {
       sessionPane: document.getElementById("sessionPane"),
       peoplePane: document.getElementById("peoplePane"),
       settingsPane: document.getElementById("settingsPane"),
       historyPane: document.getElementById("historyPane"),
+      statsPane: document.getElementById("statsPane"),
     };
+    this.paneRenderers = {
+      sessionPane: () => this.renderSessionPane(),
+      peoplePane: () => this.renderPeoplePane(),
+      settingsPane: () => this.renderSettingsPane(),
+      historyPane: () => this.renderHistoryPane(),
+      statsPane: () => this.renderStatsPane(),
+    };
+    this.dirtyPanes = new Set();
+    // Раскрытые карточки истории переживают перерисовку панели
+    this.expandedHistoryIds = new Set();
+    this.selectedHistoryIds = new Set();
+    this.statsRange = { from: "", to: "", currency: "" };
+    this.openPersonId = null;
+    this.historyVenueFilter = "";
+    this.historyFilters = { query: "", from: "", to: "", min: "", max: "" };
+    this.historyLimit = HISTORY_PAGE_SIZE;
+    this.showArchivedHistory = false;
+    this.archive = loadArchive();
+    this.reminderMarks = new Map();
+    this.elements.historyPane.addEventListener("shown.bs.collapse", (event) => {
+      this.expandedHistoryIds.add(event.target.dataset.sessionId);
+    });
+    this.elements.historyPane.addEventListener("hidden.bs.collapse", (event) => {
+      this.expandedHistoryIds.delete(event.target.dataset.sessionId);
+    });
+    // Так же запоминаем раскрытые блоки условий участников и реквизитов; toggle не всплывает.
+    // Содержимое блоков с data-lazy (QR-коды) рисуется только в раскрытом виде
+    this.openDetailsKeys = new Set();
+    ["sessionPane", "historyPane"].forEach((paneKey) => {
+      this.elements[paneKey].addEventListener("toggle", (event) => {
+        const key = event.target.dataset?.detailsKey;
+        if (!key) return;
+        if (event.target.open) {
+          this.openDetailsKeys.add(key);
+          if ("lazy" in event.target.dataset) this.renderPane(paneKey);
+        } else {
+          this.openDetailsKeys.delete(key);
+        }
+      }, true);
+    });
+    this.undoHistory = loadUndoHistory();
+    this.lastSnapshot = JSON.stringify(this.state);
+    this.lastCoalesce = null;
+    this.setupUndoControls();
+    this.bindPaneEvents();
+    this.elements.syncStatus = document.getElementById("syncStatus");
+    this.sync = new StateSync({
+      getState: () => this.state,
+      applyData: (data) => this.applySyncedData(data),
+      onStatus: (status) => this.renderSyncStatus(status),
+    });
+    this.setupTelegramControls();
     this.renderAll();
+    window.setInterval(() => this.tickBowlTimers(), BOWL_TIMER_TICK_MS);
   }
 
-  persistAndRender() {
+  persistAndRender({ undoable = true, coalesceKey = null } = {}) {
+    this.recordUndoStep(undoable, coalesceKey);
     saveState(this.state);
     this.renderAll();
+    this.sync.notifyChange();
+    this.scheduleLivePush();
   }
 
-  showValidationMessage(element, message) {
-    if (!element) {
-      if (typeof window !== "undefined" && typeof window.alert === "function") {
-        window.alert(message);
-      }
-      return;
-    }
-    element.setCustomValidity(message);
-    element.reportValidity();
-    window.setTimeout(() => element.setCustomValidity(""), 0);
+  startSync() {
+    return this.sync.start();
   }
 
-  validateCostValue(rawValue, inputElement) {
-    const trimmed = String(rawValue ?? "").trim();
-    if (!trimmed) {
-      this.showValidationMessage(inputElement, "Введите стоимость, используя только цифры.");
-      return null;
-    }
-    if (!/^\d+$/.test(trimmed)) {
-      this.showValidationMessage(inputElement, "Можно вводить только цифры без пробелов и символов.");
-      return null;
+  startLiveSharing() {
+    const code = getJoinCode();
+    if (code && code !== this.state.currentSession?.shareCode) {
+      this.openLiveSession(code);
+      return;
     }
-    if (trimmed.length > MAX_COST_DIGITS) {
-      this.showValidationMessage(
-        inputElement,
-        `Стоимость не может содержать более ${MAX_COST_DIGITS} цифр (максимум ${MAX_COST_VALUE}).`
-      );
-      return null;
+    const session = this.state.currentSession;
+    if (session?.shareCode && session.isActive) {
+      this.startLivePolling();
+      this.scheduleLivePush();
     }
-    const numericValue = Number(trimmed);
-    if (!Number.isFinite(numericValue) || numericValue <= 0) {
-      this.showValidationMessage(inputElement, "Стоимость должна быть положительным числом.");
-      return null;
+  }
+
+  // Снимок для гостей: состав чаш и уже посчитанные итоги, без личных настроек владельца
+  buildLiveSnapshot() {
+    const session = this.state.currentSession;
+    const summary = this.computeSummary(session);
+    const settlement = this.computeSettlement(session, summary);
+    const personMap = this.getPersonMap();
+    const involvedIds = new Set(session.bowls.flatMap((bowl) => [...bowl.participantIds, bowl.payerId].filter(Boolean)));
+    return {
+      session: {
+        id: session.id,
+        name: session.name,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt || null,
+        isActive: session.isActive,
+        currency: session.currency || DEFAULT_CURRENCY,
+        activeBowlId: session.activeBowlId,
+        bowls: session.bowls.map((bowl) => ({
+          id: bowl.id,
+          name: bowl.name,
+          cost: bowl.cost,
+          participantIds: bowl.participantIds.filter((id) => personMap.has(id)),
+        })),
+        guests: {
+          ...(session.sharedGuests || {}),
+          ...Object.fromEntries(
+            Array.from(involvedIds)
+              .map((id) => personMap.get(id))
+              .filter((person) => person?.telegram?.id != null)
+              .map((person) => [String(person.telegram.id), person.id]),
+          ),
+        },
+      },
+      people: Array.from(involvedIds)
+        .filter((id) => personMap.has(id))
+        .map((id) => ({ id, name: personMap.get(id).name })),
+      summary: {
+        total: summary.total,
+        rows: summary.rows.map((row) => ({ personId: row.personId, name: row.name, bowlsCount: row.bowlsCount, total: row.total })),
+      },
+      transfers: settlement.transfers,
+    };
+  }
+
+  async shareLiveSession() {
+    const session = this.state.currentSession;
+    if (!session || !session.isActive) return;
+    if (!this.auth) {
+      this.showValidationMessage(null, t("live.requiresAuth"));
+      return;
     }
-    if (numericValue > MAX_COST_VALUE) {
-      this.showValidationMessage(
-        inputElement,
-        `Стоимость не может превышать ${MAX_COST_VALUE}.`
-      );
-      return null;
+    try {
+      const response = await apiRequest("/shared-sessions", { method: "POST", body: { data: this.buildLiveSnapshot() } });
+      if (!response.ok) throw new Error(`shared_create_${response.status}`);
+      const shared = await response.json();
+      session.shareCode = shared.code;
+      this.live.lastPushed = null;
+      this.persistAndRender();
+      this.startLivePolling();
+    } catch (error) {
+      console.warn("Share session error:", error);
+      this.showValidationMessage(null, t("live.shareFailed"));
     }
-    return numericValue;
   }
 
-  enforceCostInputConstraints(inputElement) {
-    if (!inputElement) return;
-    const raw = inputElement.value;
-    if (raw === "") {
+  buildCurrentBill() {
+    const session = this.state.currentSession;
+    const summary = this.computeSummary(session);
+    const settlement = this.computeSettlement(session, summary);
+    const personMap = this.getPersonMap();
+    return {
+      name: session.name,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt || null,
+      currency: session.currency || DEFAULT_CURRENCY,
+      total: summary.total,
+      bowls: session.bowls.map((bowl) => ({
+        name: bowl.name,
+        cost: bowl.cost,
+        participants: bowl.participantIds.map((id) => personMap.get(id)?.name).filter(Boolean),
+      })),
+      items: (session.items || []).map((item) => ({
+        name: item.name,
+        amount: summary.items.find((entry) => entry.itemId === item.id)?.amount || 0,
+      })),
+      rows: summary.rows,
+      transfers: settlement.transfers,
+    };
+  }
+
+  async shareBill(sessionId = null) {
+    let bill;
+    if (sessionId) {
+      const entry = this.findHistoryEntry(sessionId);
+      if (!entry) return;
+      bill = {
+        ...entry,
+        total: entry.totalCost,
+        bowls: entry.bowls || [],
+        rows: entry.summary || [],
+        transfers: entry.settlement?.transfers || [],
+      };
+    } else if (this.state.currentSession) {
+      bill = this.buildCurrentBill();
+    } else {
       return;
     }
-    const digitsOnly = raw.replace(/\D+/g, "");
-    let sanitized = digitsOnly;
-    let message = "";
-
-    if (digitsOnly !== raw) {
-      message = "Можно вводить только цифры без пробелов и символов.";
+    bill.mentions = Object.fromEntries(
+      this.state.people
+        .filter((person) => person.telegram?.username)
+        .map((person) => [person.id, person.telegram.username]),
+    );
+    const result = await shareText(formatBillText(bill), bill.name);
+    if (result === "copied") {
+      this.showToast(t("bill.copied"));
     }
+  }
 
-    if (sanitized.length > MAX_COST_DIGITS) {
-      sanitized = sanitized.slice(0, MAX_COST_DIGITS);
-      message = `Стоимость не может содержать более ${MAX_COST_DIGITS} цифр (максимум ${MAX_COST_VALUE}).`;
+  async copyShareLink(code) {
+    const link = buildShareLink(code);
+    if (await copyText(link, t("live.copyLinkPrompt"))) {
+      this.showToast(t("live.linkCopied"));
     }
+  }
 
-    if (sanitized !== raw) {
-      inputElement.value = sanitized;
-    }
+  startLivePolling() {
+    window.clearInterval(this.live.timer);
+    this.live.timer = window.setInterval(() => this.pollLiveJoins(), LIVE_POLL_INTERVAL_MS);
+  }
 
-    if (message) {
-      this.showValidationMessage(inputElement, message);
-    }
+  stopLivePolling() {
+    window.clearInterval(this.live.timer);
+    this.live.timer = null;
   }
 
-  setupCostInput(inputElement, initialValue, commitCallback) {
-    if (!inputElement) return;
-    const normalizedInitialValue = initialValue == null ? "" : String(initialValue);
-    inputElement.dataset.lastValidValue = normalizedInitialValue;
-    inputElement.addEventListener("input", (event) => {
-      this.enforceCostInputConstraints(event.target);
-    });
-    inputElement.addEventListener("change", (event) => {
-      const target = event.target;
-      const success = commitCallback(target);
-      if (!success) {
-        target.value = target.dataset.lastValidValue || "";
+  scheduleLivePush() {
+    const session = this.state.currentSession;
+    if (!this.auth || !session?.shareCode) return;
+    window.clearTimeout(this.live.pushTimer);
+    this.live.pushTimer = window.setTimeout(() => this.pushLiveSession(), LIVE_PUSH_DEBOUNCE_MS);
+  }
+
+  async pushLiveSession() {
+    const session = this.state.currentSession;
+    if (!session?.shareCode) return;
+    const snapshot = this.buildLiveSnapshot();
+    const serialized = JSON.stringify(snapshot);
+    if (serialized === this.live.lastPushed && !this.live.pendingAcks.size) return;
+    const ackJoinIds = Array.from(this.live.pendingAcks);
+    try {
+      const response = await apiRequest(`/shared-sessions/${encodeURIComponent(session.shareCode)}`, {
+        method: "PUT",
+        body: { data: snapshot, ackJoinIds },
+      });
+      if (!response.ok) throw new Error(`shared_update_${response.status}`);
+      const shared = await response.json();
+      this.live.lastPushed = serialized;
+      ackJoinIds.forEach((id) => this.live.pendingAcks.delete(id));
+      if (!session.isActive) {
+        this.stopLivePolling();
         return;
       }
-      target.dataset.lastValidValue = target.value;
+      this.applyLiveJoins(shared.joins);
+    } catch (error) {
+      console.warn("Live push error:", error);
+    }
+  }
+
+  async pollLiveJoins() {
+    const session = this.state.currentSession;
+    if (!session?.shareCode || !session.isActive) {
+      this.stopLivePolling();
+      return;
+    }
+    try {
+      const response = await apiRequest(`/shared-sessions/${encodeURIComponent(session.shareCode)}`);
+      if (!response.ok) throw new Error(`shared_get_${response.status}`);
+      const shared = await response.json();
+      this.applyLiveJoins(shared.joins);
+    } catch (error) {
+      console.warn("Live poll error:", error);
+    }
+  }
+
+  // Гости отмечаются в чаше заявкой; владелец добавляет их к себе и подтверждает.
+  // Сервер удаляет подтверждённую заявку, поэтому отмена не должна убирать гостя из чаши:
+  // старые снимки отмены сбрасываем, как и после синхронизации
+  applyLiveJoins(joins) {
+    const session = this.state.currentSession;
+    if (!session?.isActive || !Array.isArray(joins)) return;
+    const fresh = joins.filter((join) => !this.live.pendingAcks.has(join.id));
+    if (!fresh.length) return;
+    session.sharedGuests = session.sharedGuests || {};
+    let changed = false;
+    fresh.forEach((join) => {
+      this.live.pendingAcks.add(join.id);
+      const bowl = session.bowls.find((b) => b.id === join.bowlId);
+      if (!bowl) return;
+      // Связываем только по id или username Telegram: совпадение имени не даёт права на чужую запись
+      let person = findPersonByTelegramId(this.state.people, join.user.id) ||
+        this.state.people.find((p) => p.id === session.sharedGuests[join.user.id]);
+      if (!person && join.user.username) {
+        const username = join.user.username.toLowerCase();
+        person = this.state.people.find(
+          (p) => p.telegram?.id == null && p.telegram?.username?.toLowerCase() === username,
+        ) || null;
+      }
+      if (!person) {
+        const guestName = (join.user?.name || join.user?.username || t("live.guest")).trim();
+        let name = guestName;
+        for (let index = 2; findPersonByName(this.state.people, name); index += 1) {
+          name = `${guestName} ${index}`;
+        }
+        person = { id: createId(), name };
+        this.state.people.push(person);
+        this.state.people.sort((a, b) => a.name.localeCompare(b.name, getLocaleTag()));
+        changed = true;
+      }
+      const telegram = { ...person.telegram, ...toTelegramLink(join.user) };
+      if (JSON.stringify(telegram) !== JSON.stringify(person.telegram)) {
+        person.telegram = telegram;
+        changed = true;
+      }
+      if (session.sharedGuests[join.user.id] !== person.id) {
+        session.sharedGuests[join.user.id] = person.id;
+        changed = true;
+      }
+      if (!bowl.participantIds.includes(person.id)) {
+        bowl.participantIds.push(person.id);
+        changed = true;
+      }
     });
+    if (changed) {
+      this.resetUndoHistory();
+      this.persistAndRender({ undoable: false });
+    } else {
+      // Повторные заявки всё равно подтверждаем, чтобы сервер их убрал
+      this.scheduleLivePush();
+    }
   }
 
-  renderAll() {
+  async openLiveSession(code) {
+    this.liveView = { code, shared: null, error: null, updatedAt: null };
     this.renderSessionPane();
-    this.renderPeoplePane();
-    this.renderSettingsPane();
-    this.renderHistoryPane();
+    await this.refreshLiveView();
+    if (this.liveView?.shared?.isOwner) {
+      this.leaveLiveView();
+      return;
+    }
+    window.clearInterval(this.live.timer);
+    this.live.timer = window.setInterval(() => this.refreshLiveView(), LIVE_POLL_INTERVAL_MS);
   }
 
-  getPersonMap() {
-    return new Map(this.state.people.map((person) => [person.id, person]));
+  async refreshLiveView() {
+    const view = this.liveView;
+    if (!view) return;
+    try {
+      const response = await apiRequest(`/shared-sessions/${encodeURIComponent(view.code)}`);
+      if (response.status === 404) {
+        view.error = t("live.notFound");
+      } else if (response.status === 401) {
+        view.error = t("live.signInToOpen");
+      } else if (!response.ok) {
+        throw new Error(`shared_get_${response.status}`);
+      } else {
+        view.shared = await response.json();
+        view.error = null;
+        view.updatedAt = new Date().toISOString();
+      }
+    } catch (error) {
+      console.warn("Live view error:", error);
+      view.error = view.shared ? null : t("live.loadFailed");
+    }
+    if (this.liveView === view) {
+      this.renderSessionPane();
+    }
   }
 
-  ensureActiveBowl(session) {
-    if (!session) return null;
-    let bowl = session.bowls.find((b) => b.id === session.activeBowlId);
-    if (!bowl && session.bowls.length) {
-      bowl = session.bowls[0];
-      session.activeBowlId = bowl.id;
+  async joinLiveBowl(bowlId) {
+    const view = this.liveView;
+    if (!view) return;
+    try {
+      const response = await apiRequest(`/shared-sessions/${encodeURIComponent(view.code)}/join`, {
+        method: "POST",
+        body: { bowlId },
+      });
+      if (!response.ok) throw new Error(`shared_join_${response.status}`);
+      view.shared = await response.json();
+      this.showToast(t("live.joinSent"));
+    } catch (error) {
+      console.warn("Join bowl error:", error);
+      this.showToast(t("live.joinFailed"));
     }
-    return bowl || null;
+    this.renderSessionPane();
   }
 
-  startSession(name) {
-    const trimmed = (name || "").trim() || getDefaultSessionName();
-    const firstBowlId = createId();
-    this.state.currentSession = {
-      id: createId(),
-      name: trimmed,
-      startedAt: new Date().toISOString(),
-      isActive: true,
-      bowls: [
-        {
-          id: firstBowlId,
-          name: "Чаша 1",
-          cost: this.state.settings.defaultBowlCost,
-          participantIds: [],
+  leaveLiveView() {
+    this.liveView = null;
+    window.clearInterval(this.live.timer);
+    this.live.timer = null;
+    const url = new URL(window.location.href);
+    if (url.searchParams.has("join")) {
+      url.searchParams.delete("join");
+      window.history.replaceState(null, "", url.toString());
+    }
+    this.renderSessionPane();
+    this.updateTelegramControls();
+    const session = this.state.currentSession;
+    if (session?.shareCode && session.isActive) {
+      this.startLivePolling();
+    }
+  }
+
+  // Снимки отмены сделаны до чужих правок: отмена после синхронизации откатила бы изменения
+  // другого устройства и отправила откат на сервер, поэтому историю отмен сбрасываем
+  applySyncedData(data) {
+    // Снимки не синхронизируются: у записей, не изменившихся на другом устройстве, оставляем свои
+    const snapshots = new Map(
+      this.state.savedSessions
+        .filter((entry) => entry.snapshot)
+        .map(({ snapshot, ...entry }) => [entry.id, { snapshot, json: JSON.stringify(entry) }]),
+    );
+    const savedSessions = Array.isArray(data.savedSessions)
+      ? data.savedSessions.map((entry) => {
+        const local = snapshots.get(entry?.id);
+        return local && !entry.snapshot && local.json === JSON.stringify(entry) ? { ...entry, snapshot: local.snapshot } : entry;
+      })
+      : this.state.savedSessions;
+    this.state = sanitizeState({ ...this.state, ...data, savedSessions });
+    this.resetUndoHistory();
+    this.persistAndRender({ undoable: false });
+  }
+
+  resetUndoHistory() {
+    this.undoHistory = { undo: [], redo: [] };
+    this.lastCoalesce = null;
+    this.hideToast();
+  }
+
+  renderSyncStatus(status) {
+    this.syncStatus = status;
+    const element = this.elements.syncStatus;
+    if (!element) return;
+    const label = SYNC_STATUS_LABELS[status] ? t(SYNC_STATUS_LABELS[status]) : "";
+    const time = status === "synced" && this.sync.meta.lastSyncedAt
+      ? t("sync.at", { time: formatDateTime(this.sync.meta.lastSyncedAt).split(", ").pop() })
+      : "";
+    element.textContent = label ? `${label}${time}` : "";
+    element.classList.toggle("text-danger", status === "error" || status === "tooLarge");
+  }
+
+  // Каждое изменение сравнивается с прошлым снимком; серия правок одного поля
+  // (ввод названия) склеивается в один шаг отмены
+  recordUndoStep(undoable, coalesceKey) {
+    const snapshot = JSON.stringify(this.state);
+    if (snapshot === this.lastSnapshot) return;
+    const now = Date.now();
+    const isSameSeries = Boolean(coalesceKey) &&
+      this.lastCoalesce?.key === coalesceKey &&
+      now - this.lastCoalesce.at < UNDO_COALESCE_MS;
+    if (undoable && !isSameSeries) {
+      this.undoHistory.undo.push(this.lastSnapshot);
+      if (this.undoHistory.undo.length > UNDO_LIMIT) {
+        this.undoHistory.undo.shift();
+      }
+    }
+    if (undoable) {
+      this.undoHistory.redo = [];
+    }
+    this.lastCoalesce = coalesceKey ? { key: coalesceKey, at: now } : null;
+    this.lastSnapshot = snapshot;
+    saveUndoHistory(this.undoHistory);
+  }
+
+  // Откат сохраняется как обычная правка — уходит в синхронизацию и гостям общей сессии,
+  // но сам в историю отмен не пишется
+  restoreSnapshot(snapshot) {
+    this.state = { ...createInitialState(), ...JSON.parse(snapshot) };
+    this.lastCoalesce = null;
+    this.persistAndRender({ undoable: false });
+  }
+
+  undo() {
+    const snapshot = this.undoHistory.undo.pop();
+    if (!snapshot) return;
+    this.undoHistory.redo.push(this.lastSnapshot);
+    this.restoreSnapshot(snapshot);
+    this.hideToast();
+  }
+
+  redo() {
+    const snapshot = this.undoHistory.redo.pop();
+    if (!snapshot) return;
+    this.undoHistory.undo.push(this.lastSnapshot);
+    this.restoreSnapshot(snapshot);
+  }
+
+  // В Telegram главные действия вынесены на MainButton/SecondaryButton, а BackButton ведёт по вкладкам
+  setupTelegramControls() {
+    this.telegram = getTelegramWebApp();
+    this.tabHistory = [];
+    this.telegramActions = {};
+    if (!this.telegram) return;
+    document.getElementById("mainTab")?.addEventListener("shown.bs.tab", (event) => {
+      if (this.isNavigatingBack) {
+        this.isNavigatingBack = false;
+      } else if (event.relatedTarget?.id) {
+        this.tabHistory.push(event.relatedTarget.id);
+      }
+      this.updateTelegramControls();
+    });
+    this.telegram.MainButton.onClick(() => this.telegramActions.main?.run());
+    if (this.telegram.isVersionAtLeast("7.10")) {
+      this.telegram.SecondaryButton.onClick(() => this.telegramActions.secondary?.run());
+    }
+    if (this.telegram.isVersionAtLeast("6.1")) {
+      this.telegram.BackButton.onClick(() => this.goBack());
+    }
+  }
+
+  goBack() {
+    if (this.liveView) {
+      this.leaveLiveView();
+      return;
+    }
+    if (this.openPersonId) {
+      this.closePersonProfile();
+      return;
+    }
+    const tabId = this.tabHistory.pop();
+    if (!tabId) return;
+    this.isNavigatingBack = true;
+    this.showTab(tabId);
+  }
+
+  getTelegramActions() {
+    const activeTabId = document.querySelector("#mainTab .nav-link.active")?.id;
+    if (this.liveView || activeTabId !== "session-tab") return {};
+    const session = this.state.currentSession;
+    if (!session || !session.isActive) {
+      return {
+        main: {
+          text: t("session.start"),
+          run: () => this.startSessionFromForm(),
         },
-      ],
-      activeBowlId: firstBowlId,
+      };
+    }
+    const finish = {
+      text: session.editingHistoryId ? t("session.saveChanges") : t("session.finish"),
+      run: () => this.endSession(),
     };
-    this.persistAndRender();
+    if (session.editingHistoryId) {
+      return { main: finish };
+    }
+    return { main: { text: t("session.addBowl"), run: () => this.addBowl() }, secondary: finish };
   }
 
-  endSession() {
-    const session = this.state.currentSession;
-    if (!session || !session.isActive) return;
+  updateTelegramControls() {
+    const tg = this.telegram;
+    if (!tg) return;
+    this.telegramActions = this.getTelegramActions();
+    const { main, secondary } = this.telegramActions;
+    if (main) {
+      tg.MainButton.setParams({ text: main.text, is_visible: true, is_active: true });
+    } else {
+      tg.MainButton.hide();
+    }
+    if (tg.isVersionAtLeast("7.10")) {
+      if (secondary) {
+        tg.SecondaryButton.setParams({ text: secondary.text, is_visible: true, position: "bottom" });
+      } else {
+        tg.SecondaryButton.hide();
+      }
+    }
+    if (tg.isVersionAtLeast("6.1")) {
+      if (this.liveView || this.openPersonId || this.tabHistory.length) {
+        tg.BackButton.show();
+      } else {
+        tg.BackButton.hide();
+      }
+    }
+  }
 
-    const endedAt = new Date().toISOString();
-    const summary = this.computeSummary(session);
-    const personMap = this.getPersonMap();
+  setupUndoControls() {
+    this.elements.undoButton = document.getElementById("undoButton");
+    this.elements.redoButton = document.getElementById("redoButton");
+    this.elements.toastContainer = document.getElementById("toastContainer");
+    this.elements.undoButton?.addEventListener("click", () => this.undo());
+    this.elements.redoButton?.addEventListener("click", () => this.redo());
+    document.addEventListener("keydown", (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== "z") return;
+      // В полях ввода оставляем браузерную отмену набранного текста
+      if (event.target.closest?.("input, textarea, select")) return;
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    });
+  }
 
-    const historyEntry = {
-      id: session.id,
-      name: session.name,
-      startedAt: session.startedAt,
-      endedAt,
-      bowlCount: session.bowls.length,
-      totalCost: session.bowls.reduce((sum, bowl) => sum + (Number(bowl.cost) || 0), 0),
-      summary: summary.rows,
-      bowls: session.bowls.map((bowl) => ({
-        name: bowl.name,
-        cost: bowl.cost,
-        participants: bowl.participantIds
-          .map((id) => personMap.get(id)?.name)
-          .filter(Boolean),
-      })),
+  updateUndoControls() {
+    if (this.elements.undoButton) {
+      this.elements.undoButton.disabled = !this.undoHistory.undo.length;
+    }
+    if (this.elements.redoButton) {
+      this.elements.redoButton.disabled = !this.undoHistory.redo.length;
+    }
+  }
+
+  showToast(message, action = null) {
+    const container = this.elements.toastContainer;
+    if (!container) return;
+    this.hideToast();
+    container.innerHTML = `
+      <div class="toast-glass d-flex align-items-center gap-3" role="status" aria-live="polite">
+        <span class="me-auto">${escapeHtml(message)}</span>
+        ${action ? `<button class="btn btn-sm btn-light" type="button" data-action="toast-action">${escapeHtml(action.label)}</button>` : ""}
+      </div>
+    `;
+    container.querySelector('[data-action="toast-action"]')?.addEventListener('click', () => action.onClick());
+    this.toastTimer = window.setTimeout(() => this.hideToast(), action ? 6000 : 3000);
+  }
+
+  showUndoToast(message) {
+    this.showToast(message, { label: t("undo.action"), onClick: () => this.undo() });
+  }
+
+  hideToast() {
+    window.clearTimeout(this.toastTimer);
+    if (this.elements.toastContainer) {
+      this.elements.toastContainer.innerHTML = "";
+    }
+  }
+
+  showValidationMessage(element, message) {
+    triggerHaptic("error");
+    if (!element) {
+      if (typeof window !== "undefined" && typeof window.alert === "function") {
+        window.alert(message);
+      }
+      return;
+    }
+    element.setCustomValidity(message);
+    element.reportValidity();
+    window.setTimeout(() => element.setCustomValidity(""), 0);
+  }
+
+  validateCostValue(rawValue, inputElement) {
+    const trimmed = String(rawValue ?? "").trim();
+    if (!trimmed) {
+      this.showValidationMessage(inputElement, t("cost.required"));
+      return null;
+    }
+    if (!/^\d+$/.test(trimmed)) {
+      this.showValidationMessage(inputElement, t("cost.digitsOnly"));
+      return null;
+    }
+    if (trimmed.length > MAX_COST_DIGITS) {
+      this.showValidationMessage(
+        inputElement,
+        t("cost.tooManyDigits", { digits: MAX_COST_DIGITS, max: MAX_COST_VALUE })
+      );
+      return null;
+    }
+    const numericValue = Number(trimmed);
+    if (!Number.isFinite(numericValue) || numericValue <= 0) {
+      this.showValidationMessage(inputElement, t("cost.positive"));
+      return null;
+    }
+    if (numericValue > MAX_COST_VALUE) {
+      this.showValidationMessage(
+        inputElement,
+        t("cost.tooHigh", { max: MAX_COST_VALUE })
+      );
+      return null;
+    }
+    return numericValue;
+  }
+
+  enforceCostInputConstraints(inputElement) {
+    if (!inputElement) return;
+    const raw = inputElement.value;
+    if (raw === "") {
+      return;
+    }
+    const digitsOnly = raw.replace(/\D+/g, "");
+    let sanitized = digitsOnly;
+    let message = "";
+
+    if (digitsOnly !== raw) {
+      message = t("cost.digitsOnly");
+    }
+
+    if (sanitized.length > MAX_COST_DIGITS) {
+      sanitized = sanitized.slice(0, MAX_COST_DIGITS);
+      message = t("cost.tooManyDigits", { digits: MAX_COST_DIGITS, max: MAX_COST_VALUE });
+    }
+
+    if (sanitized !== raw) {
+      inputElement.value = sanitized;
+    }
+
+    if (message) {
+      this.showValidationMessage(inputElement, message);
+    }
+  }
+
+  // Статичный текст из index.html помечен data-i18n; остальное приходит с отрисовкой вкладок
+  applyStaticTranslations() {
+    setLocale(this.state.settings.locale);
+    document.documentElement.lang = getLocale();
+    document.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    const welcome = document.getElementById("welcome");
+    if (welcome?.textContent) {
+      welcome.textContent = formatWelcome(this.auth?.user);
+    }
+    if (this.syncStatus) {
+      this.renderSyncStatus(this.syncStatus);
+    }
+  }
+
+  // Сразу перерисовываем только видимую вкладку, остальные — когда на них переключатся
+  renderAll() {
+    this.applyStaticTranslations();
+    Object.keys(this.paneRenderers).forEach((key) => this.dirtyPanes.add(key));
+    this.renderPane(this.getActivePaneKey());
+    this.updateUndoControls();
+    this.updateTelegramControls();
+  }
+
+  renderPane(key) {
+    this.dirtyPanes.delete(key);
+    this.paneRenderers[key]();
+  }
+
+  getActivePaneKey() {
+    return Object.keys(this.paneRenderers).find((key) => this.elements[key].classList.contains("active")) || "sessionPane";
+  }
+
+  // События ловим один раз на самих панелях: разметка обновляется на месте,
+  // и слушатели на отдельных элементах пришлось бы заново вешать после каждой перерисовки.
+  // Обработчик ищется по data-action, затем по data-role, от цели события вверх до панели
+  bindPaneEvents() {
+    document.getElementById("mainTab")?.addEventListener("show.bs.tab", (event) => {
+      const key = event.target.getAttribute("aria-controls");
+      if (this.dirtyPanes.has(key)) this.renderPane(key);
+    });
+    const handlers = {
+      sessionPane: this.getSessionPaneHandlers(),
+      peoplePane: this.getPeoplePaneHandlers(),
+      settingsPane: this.getSettingsPaneHandlers(),
+      historyPane: this.getHistoryPaneHandlers(),
+      statsPane: this.getStatsPaneHandlers(),
+    };
+    Object.entries(handlers).forEach(([key, byType]) => {
+      const pane = this.elements[key];
+      // Поля сумм во всех панелях чистим от лишних символов прямо при вводе
+      pane.addEventListener("input", (event) => {
+        if (event.target.matches("[data-cost-input]")) this.enforceCostInputConstraints(event.target);
+      });
+      Object.entries(byType).forEach(([type, table]) => {
+        pane.addEventListener(type, (event) => {
+          for (let element = event.target; element && element !== pane; element = element.parentElement) {
+            const handler = table[element.dataset.action] || table[element.dataset.role];
+            if (!handler) continue;
+            // Обработчик вернул false — значение не принято, возвращаем последнее сохранённое
+            const accepted = handler(element, event);
+            if (typeof accepted === "boolean" && "lastValidValue" in element.dataset) {
+              if (accepted) element.dataset.lastValidValue = element.value;
+              else element.value = element.dataset.lastValidValue;
+            }
+            return;
+          }
+        });
+      });
+    });
+  }
+
+  // Общий вид обработчика Enter в полях «добавить»: после добавления поле очищаем,
+  // фокус остаётся в нём, чтобы вводить следующее значение
+  onEnter(callback) {
+    return (element, event) => {
+      if (event.key !== "Enter") return;
+      event.preventDefault();
+      callback(element.value);
+      element.value = "";
     };
+  }
+
+  getPersonMap() {
+    return getPersonMap(this.state);
+  }
 
-    this.state.savedSessions.unshift(historyEntry);
+  ensureActiveBowl(session) {
+    return ensureActiveBowl(session);
+  }
 
-    session.isActive = false;
-    session.endedAt = endedAt;
+  startSession(name, venueId = null, groupId = null) {
+    startSession(this.state, name, venueId, groupId);
+    this.persistAndRender();
+  }
 
+  endSession() {
+    if (!endSession(this.state)) return;
     this.persistAndRender();
   }
 
   deleteSavedSession(sessionId) {
+    if (this.archive.some((entry) => entry.id === sessionId)) {
+      this.archive = this.archive.filter((entry) => entry.id !== sessionId);
+      saveArchive(this.archive);
+    }
     this.state.savedSessions = this.state.savedSessions.filter(
       (session) => session.id !== sessionId,
     );
     if (
       this.state.currentSession &&
       this.state.currentSession.id === sessionId &&
-      !this.state.currentSession.isActive
+      (!this.state.currentSession.isActive || this.state.currentSession.editingHistoryId === sessionId)
     ) {
       this.state.currentSession = null;
     }
+    triggerHaptic("remove");
+    this.persistAndRender();
+    this.showUndoToast(t("history.deleted"));
+  }
+
+  reopenSavedSession(sessionId) {
+    if (!this.state.savedSessions.some((session) => session.id === sessionId)) return;
+    const current = this.state.currentSession;
+    if (current && current.isActive) {
+      this.showValidationMessage(null, t("session.finishCurrentFirst"));
+      return;
+    }
+    reopenSession(this.state, sessionId);
     this.persistAndRender();
+    this.showTab("session-tab");
   }
 
-  addBowl() {
+  cancelSessionEditing() {
     const session = this.state.currentSession;
-    if (!session || !session.isActive) return;
+    if (!session || !session.isActive || !session.editingHistoryId) return;
+    this.state.currentSession = null;
+    this.persistAndRender();
+  }
+
+  showTab(tabId) {
+    const tabButton = document.getElementById(tabId);
+    if (!tabButton) return;
+    if (window.bootstrap?.Tab) {
+      window.bootstrap.Tab.getOrCreateInstance(tabButton).show();
+    }
+  }
+
+  toggleTransferPaid(sessionId, transferId) {
+    const entry = this.state.savedSessions.find((session) => session.id === sessionId);
+    const transfer = entry?.settlement?.transfers.find((item) => item.id === transferId);
+    if (!transfer) return;
+    transfer.paid = !transfer.paid;
+    transfer.paidAt = transfer.paid ? new Date().toISOString() : null;
+    this.persistAndRender();
+  }
 
-    const bowlIndex = session.bowls.length + 1;
-    const previousBowl = this.ensureActiveBowl(session);
-    const newBowlId = createId();
-    session.bowls.push({
-      id: newBowlId,
-      name: `Чаша ${bowlIndex}`,
-      cost: this.state.settings.defaultBowlCost,
-      participantIds: previousBowl ? [...previousBowl.participantIds] : [],
+  addBowl(presetId = null) {
+    if (!addBowl(this.state, presetId)) return;
+    triggerHaptic("add");
+    this.persistAndRender();
+  }
+
+  // Чаши из старых записей без времени можно засечь вручную
+  startBowlTimer(bowlId) {
+    const bowl = this.state.currentSession?.bowls.find((b) => b.id === bowlId);
+    if (!bowl || !this.state.currentSession.isActive) return;
+    bowl.startedAt = new Date().toISOString();
+    delete bowl.endedAt;
+    this.persistAndRender();
+  }
+
+  finishBowl(bowlId) {
+    const bowl = this.state.currentSession?.bowls.find((b) => b.id === bowlId);
+    if (!bowl?.startedAt || bowl.endedAt) return;
+    bowl.endedAt = new Date().toISOString();
+    triggerHaptic("add");
+    this.persistAndRender();
+  }
+
+  resumeBowl(bowlId) {
+    const bowl = this.state.currentSession?.bowls.find((b) => b.id === bowlId);
+    if (!bowl?.endedAt) return;
+    delete bowl.endedAt;
+    this.persistAndRender();
+  }
+
+  // Тикает раз в секунду: обновляет таймеры на экране без перерисовки и проверяет напоминания
+  tickBowlTimers() {
+    const session = this.state.currentSession;
+    if (!session?.isActive) return;
+    const now = Date.now();
+    this.elements.sessionPane.querySelectorAll('[data-role="bowl-timer"]').forEach((element) => {
+      const bowl = session.bowls.find((b) => b.id === element.dataset.bowlId);
+      const duration = getBowlDuration(bowl, now);
+      if (duration !== null) element.textContent = formatTimer(duration);
     });
-    session.activeBowlId = newBowlId;
+    const { coalsMinutes, longMinutes } = this.state.settings.reminders;
+    session.bowls
+      .filter((bowl) => bowl.startedAt && !bowl.endedAt)
+      .forEach((bowl) => {
+        const minutes = getBowlDuration(bowl, now) / 60000;
+        const marks = {
+          coals: coalsMinutes ? Math.floor(minutes / coalsMinutes) : 0,
+          long: longMinutes && minutes >= longMinutes ? 1 : 0,
+        };
+        // Первый замер только запоминаем, чтобы после перезагрузки не сыпать старыми напоминаниями
+        const previous = this.reminderMarks.get(bowl.id);
+        this.reminderMarks.set(bowl.id, marks);
+        if (!previous) return;
+        if (marks.long > previous.long) {
+          this.showReminder(t("reminders.long", { name: bowl.name, duration: formatDuration(longMinutes * 60000) }));
+        } else if (marks.coals > previous.coals) {
+          this.showReminder(t("reminders.coals", { name: bowl.name }));
+        }
+      });
+  }
+
+  showReminder(message) {
+    triggerHaptic("reminder");
+    this.showToast(message, { label: t("reminders.ok"), onClick: () => this.hideToast() });
+  }
+
+  updateReminderSettings(field, rawValue, inputElement) {
+    const value = Number(String(rawValue ?? "").trim() || 0);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_REMINDER_MINUTES) {
+      this.showValidationMessage(inputElement, t("reminders.invalid", { max: MAX_REMINDER_MINUTES }));
+      return false;
+    }
+    this.state.settings.reminders = getReminderSettings({
+      reminders: { ...this.state.settings.reminders, [field]: value },
+    });
+    this.reminderMarks.clear();
     this.persistAndRender();
+    return true;
   }
 
   selectBowl(bowlId) {
     const session = this.state.currentSession;
     if (!session || !session.isActive) return;
     session.activeBowlId = bowlId;
-    this.persistAndRender();
+    this.persistAndRender({ undoable: false });
   }
 
   updateSessionName(name) {
@@ -352,6 +1678,13 @@ class HookahSpliterApp {
     if (!session || !session.isActive) return;
     const trimmed = (name || "").trim();
     session.name = trimmed || session.name || getDefaultSessionName();
+    this.persistAndRender({ coalesceKey: "session-name" });
+  }
+
+  updateSessionCurrency(currency) {
+    const session = this.state.currentSession;
+    if (!session || !session.isActive || !CURRENCIES.includes(currency)) return;
+    session.currency = currency;
     this.persistAndRender();
   }
 
@@ -361,8 +1694,8 @@ class HookahSpliterApp {
     const bowl = session.bowls.find((b) => b.id === bowlId);
     if (!bowl) return;
     const trimmed = (name || "").trim();
-    bowl.name = trimmed || bowl.name || "Чаша";
-    this.persistAndRender();
+    bowl.name = trimmed || bowl.name || t("bowl.fallbackName");
+    this.persistAndRender({ coalesceKey: `bowl-name:${bowlId}` });
   }
 
   updateBowlCost(bowlId, costValue, inputElement) {
@@ -379,26 +1712,296 @@ class HookahSpliterApp {
     return true;
   }
 
-  addParticipantByName(name) {
+  updateBowlPayer(bowlId, personId) {
     const session = this.state.currentSession;
-    const bowl = this.ensureActiveBowl(session);
-    if (!session || !session.isActive || !bowl) return;
+    if (!session || !session.isActive) return;
+    const bowl = session.bowls.find((b) => b.id === bowlId);
+    if (!bowl) return;
+    if (personId && !this.state.people.some((p) => p.id === personId)) return;
+    bowl.payerId = personId || null;
+    this.persistAndRender();
+  }
+
+  getSessionVenue(session) {
+    return getSessionVenue(this.state, session);
+  }
+
+  updateSessionVenue(venueId) {
+    const session = this.state.currentSession;
+    if (!session || !session.isActive) return;
+    session.venueId = this.state.venues.some((venue) => venue.id === venueId) ? venueId : null;
+    this.persistAndRender();
+  }
 
+  addVenue(name) {
     const trimmed = (name || "").trim();
     if (!trimmed) return;
+    this.state.venues.push({ id: createId(), name: trimmed, menu: [] });
+    triggerHaptic("add");
+    this.persistAndRender();
+  }
+
+  updateVenueName(venueId, name) {
+    const venue = this.state.venues.find((entry) => entry.id === venueId);
+    const trimmed = (name || "").trim();
+    if (!venue || !trimmed) return;
+    venue.name = trimmed;
+    this.state.savedSessions.forEach((entry) => {
+      if (entry.venueId === venueId) entry.venueName = trimmed;
+    });
+    this.persistAndRender({ coalesceKey: `venue-name-${venueId}` });
+  }
+
+  deleteVenue(venueId) {
+    const venue = this.state.venues.find((entry) => entry.id === venueId);
+    if (!venue) return;
+    this.state.venues = this.state.venues.filter((entry) => entry.id !== venueId);
+    if (this.state.currentSession?.venueId === venueId) {
+      this.state.currentSession.venueId = null;
+    }
+    triggerHaptic("remove");
+    this.persistAndRender();
+    this.showUndoToast(t("venues.deleted", { name: venue.name }));
+  }
+
+  addMenuItem(venueId, name, costValue, inputElement) {
+    const venue = this.state.venues.find((entry) => entry.id === venueId);
+    if (!venue) return false;
+    const cost = this.validateCostValue(costValue, inputElement);
+    if (cost === null) return false;
+    venue.menu.push({ id: createId(), name: (name || "").trim() || t("bowl.defaultName", { number: venue.menu.length + 1 }), cost });
+    triggerHaptic("add");
+    this.persistAndRender();
+    return true;
+  }
+
+  updateMenuItem(venueId, itemId, patch) {
+    const item = this.state.venues.find((entry) => entry.id === venueId)?.menu.find((entry) => entry.id === itemId);
+    if (!item) return false;
+    Object.assign(item, patch);
+    this.persistAndRender({ coalesceKey: `menu-${itemId}` });
+    return true;
+  }
+
+  removeMenuItem(venueId, itemId) {
+    const venue = this.state.venues.find((entry) => entry.id === venueId);
+    if (!venue) return;
+    venue.menu = venue.menu.filter((entry) => entry.id !== itemId);
+    triggerHaptic("remove");
+    this.persistAndRender();
+  }
 
-    const lower = trimmed.toLowerCase();
-    let person = this.state.people.find((p) => p.name.toLowerCase() === lower);
-    if (!person) {
-      person = { id: createId(), name: trimmed };
-      this.state.people.push(person);
-      this.state.people.sort((a, b) => a.name.localeCompare(b.name, "ru"));
+  // Вся история вместе с архивом; если запись вернули отменой, основная копия главнее
+  getAllHistory() {
+    const savedIds = new Set(this.state.savedSessions.map((session) => session.id));
+    return sortHistory([...this.state.savedSessions, ...this.archive.filter((entry) => !savedIds.has(entry.id))]);
+  }
+
+  findHistoryEntry(sessionId) {
+    return this.state.savedSessions.find((session) => session.id === sessionId) ||
+      this.archive.find((session) => session.id === sessionId) ||
+      null;
+  }
+
+  isArchived(sessionId) {
+    return !this.state.savedSessions.some((session) => session.id === sessionId) &&
+      this.archive.some((session) => session.id === sessionId);
+  }
+
+  getVisibleHistory() {
+    return filterHistory(this.showArchivedHistory ? this.getAllHistory() : this.state.savedSessions, {
+      ...this.historyFilters,
+      venueId: this.historyVenueFilter,
+    });
+  }
+
+  setHistoryVenueFilter(venueId) {
+    this.updateHistoryFilters({}, venueId);
+  }
+
+  updateHistoryFilters(patch, venueId = this.historyVenueFilter) {
+    this.historyFilters = { ...this.historyFilters, ...patch };
+    this.historyVenueFilter = venueId;
+    this.historyLimit = HISTORY_PAGE_SIZE;
+    this.selectedHistoryIds.clear();
+    this.renderHistoryPane();
+  }
+
+  resetHistoryFilters() {
+    this.historyFilters = { query: "", from: "", to: "", min: "", max: "" };
+    this.historyVenueFilter = "";
+    this.historyLimit = HISTORY_PAGE_SIZE;
+    this.selectedHistoryIds.clear();
+    this.renderHistoryPane();
+  }
+
+  toggleArchivedHistory(visible) {
+    this.showArchivedHistory = visible;
+    this.historyLimit = HISTORY_PAGE_SIZE;
+    this.selectedHistoryIds.clear();
+    this.renderHistoryPane();
+  }
+
+  showMoreHistory() {
+    this.historyLimit += HISTORY_PAGE_SIZE;
+    this.renderHistoryPane();
+  }
+
+  // Отдельная запись архива не входит в снимки отмены, поэтому архивирование не отменяется,
+  // а сессии с неоплаченными переводами остаются в основной истории
+  archiveOldSessions(months) {
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - months);
+    const cutoffIso = cutoff.toISOString();
+    const archivable = this.state.savedSessions.filter(
+      (session) =>
+        String(session.endedAt || session.startedAt) < cutoffIso &&
+        !(session.settlement?.transfers || []).some((transfer) => !transfer.paid),
+    );
+    if (!archivable.length) {
+      this.showToast(t("archive.nothing"));
+      return;
     }
+    const movedIds = new Set(archivable.map((session) => session.id));
+    this.archive = sortHistory([
+      ...this.archive.filter((entry) => !movedIds.has(entry.id)),
+      ...archivable.map(compactHistoryEntry),
+    ]);
+    saveArchive(this.archive);
+    this.state.savedSessions = this.state.savedSessions.filter((session) => !movedIds.has(session.id));
+    archivable.forEach((session) => this.selectedHistoryIds.delete(session.id));
+    this.persistAndRender({ undoable: false });
+    this.showToast(t("archive.done", { sessions: tn("stats.sessionsCount", archivable.length) }));
+  }
+
+  // Копия в архиве остаётся, пока запись снова не заархивируют или не удалят:
+  // так отмена возврата ничего не теряет
+  unarchiveSession(sessionId) {
+    if (!this.isArchived(sessionId)) return;
+    const entry = this.archive.find((session) => session.id === sessionId);
+    this.state.savedSessions = sortHistory([...this.state.savedSessions, JSON.parse(JSON.stringify(entry))]);
+    this.persistAndRender();
+  }
+
+  unarchiveAll() {
+    const archived = this.archive.filter((entry) => this.isArchived(entry.id));
+    if (!archived.length) return;
+    this.state.savedSessions = sortHistory([...this.state.savedSessions, ...JSON.parse(JSON.stringify(archived))]);
+    this.persistAndRender();
+  }
+
+  // Переименования и слияния людей доходят и до архива, иначе профили разъедутся
+  updateArchive(update) {
+    if (!this.archive.length) return;
+    this.archive.forEach(update);
+    saveArchive(this.archive);
+  }
+
+  getArchivedCount() {
+    return this.archive.filter((entry) => this.isArchived(entry.id)).length;
+  }
+
+  deleteArchivedSession(sessionId) {
+    const entry = this.archive.find((session) => session.id === sessionId);
+    if (!entry || !window.confirm(t("archive.confirmDelete", { name: entry.name }))) return;
+    this.archive = this.archive.filter((session) => session.id !== sessionId);
+    saveArchive(this.archive);
+    this.selectedHistoryIds.delete(sessionId);
+    triggerHaptic("remove");
+    this.renderAll();
+  }
+
+  addPayment(personId, amountValue, inputElement) {
+    const session = this.state.currentSession;
+    if (!session || !session.isActive) return false;
+    if (!this.state.people.some((p) => p.id === personId)) return false;
+    const amount = this.validateCostValue(amountValue, inputElement);
+    if (amount === null) {
+      return false;
+    }
+    session.payments = session.payments || [];
+    session.payments.push({ id: createId(), personId, amount });
+    triggerHaptic("add");
+    this.persistAndRender();
+    return true;
+  }
+
+  removePayment(paymentId) {
+    const session = this.state.currentSession;
+    if (!session || !session.isActive) return;
+    session.payments = (session.payments || []).filter((payment) => payment.id !== paymentId);
+    triggerHaptic("remove");
+    this.persistAndRender();
+  }
+
+  validatePercentValue(rawValue, inputElement) {
+    const trimmed = String(rawValue ?? "").trim();
+    if (!/^\d+$/.test(trimmed)) {
+      this.showValidationMessage(inputElement, t("percent.integer"));
+      return null;
+    }
+    const numericValue = Number(trimmed);
+    if (numericValue <= 0 || numericValue > MAX_PERCENT_VALUE) {
+      this.showValidationMessage(inputElement, t("percent.range", { max: MAX_PERCENT_VALUE }));
+      return null;
+    }
+    return numericValue;
+  }
+
+  addItem({ name, kind, value, split, participantIds }, inputElement) {
+    const session = this.state.currentSession;
+    if (!session || !session.isActive) return false;
+    const isPercent = kind === "percent";
+    const numericValue = isPercent
+      ? this.validatePercentValue(value, inputElement)
+      : this.validateCostValue(value, inputElement);
+    if (numericValue === null) {
+      return false;
+    }
+    const normalizedSplit = ITEM_SPLIT_LABELS[split] ? split : "everyone";
+    const ids = (participantIds || []).filter((id) => this.state.people.some((p) => p.id === id));
+    if (!isPercent && normalizedSplit !== "everyone" && !ids.length) {
+      this.showValidationMessage(null, t("items.chooseParticipants"));
+      return false;
+    }
+    session.items = session.items || [];
+    session.items.push({
+      id: createId(),
+      name: (name || "").trim() || (isPercent ? t("items.defaultSurcharge") : t("items.defaultName")),
+      kind: isPercent ? "percent" : "fixed",
+      amount: isPercent ? null : numericValue,
+      percent: isPercent ? numericValue : null,
+      split: isPercent ? "everyone" : normalizedSplit,
+      participantIds: isPercent || normalizedSplit === "everyone"
+        ? []
+        : normalizedSplit === "single" ? ids.slice(0, 1) : ids,
+    });
+    triggerHaptic("add");
+    this.persistAndRender();
+    return true;
+  }
+
+  removeItem(itemId) {
+    const session = this.state.currentSession;
+    if (!session || !session.isActive) return;
+    session.items = (session.items || []).filter((item) => item.id !== itemId);
+    triggerHaptic("remove");
+    this.persistAndRender();
+  }
+
+  addParticipantByName(name) {
+    const session = this.state.currentSession;
+    const bowl = this.ensureActiveBowl(session);
+    if (!session || !session.isActive || !bowl) return;
+
+    const person = addPerson(this.state, name);
+    if (!person) return;
 
     if (!bowl.participantIds.includes(person.id)) {
       bowl.participantIds.push(person.id);
     }
 
+    triggerHaptic("add");
     this.persistAndRender();
   }
 
@@ -407,6 +2010,106 @@ class HookahSpliterApp {
     const bowl = this.ensureActiveBowl(session);
     if (!session || !bowl) return;
     bowl.participantIds = bowl.participantIds.filter((id) => id !== personId);
+    if (bowl.participation) {
+      delete bowl.participation[personId];
+    }
+    triggerHaptic("remove");
+    this.persistAndRender();
+    this.showUndoToast(t("bowl.participantRemoved"));
+  }
+
+  updateParticipantShare(personId, shareValue) {
+    const session = this.state.currentSession;
+    const bowl = this.ensureActiveBowl(session);
+    if (!session || !session.isActive || !bowl) return;
+    if (!bowl.participantIds.includes(personId)) return;
+    const share = Number(shareValue);
+    if (!Number.isFinite(share) || share <= 0 || share > 1) return;
+    bowl.participation = bowl.participation || {};
+    const options = { ...bowl.participation[personId], share };
+    if (share === 1) {
+      delete options.share;
+    }
+    if (Object.keys(options).length) {
+      bowl.participation[personId] = options;
+    } else {
+      delete bowl.participation[personId];
+    }
+    this.persistAndRender();
+  }
+
+  updateParticipantTerms(personId, patch, inputElement) {
+    const session = this.state.currentSession;
+    const bowl = this.ensureActiveBowl(session);
+    if (!session || !session.isActive || !bowl) return false;
+    if (!bowl.participantIds.includes(personId)) return false;
+    const rule = session.participantRules?.[personId] || {};
+    const options = { ...(bowl.participation?.[personId] || {}) };
+
+    if ("fixed" in patch) {
+      const raw = String(patch.fixed ?? "").trim();
+      if (!raw) {
+        delete options.fixed;
+      } else {
+        const value = raw === "0" ? 0 : this.validateCostValue(raw, inputElement);
+        if (value === null) return false;
+        options.fixed = value;
+      }
+    }
+    if ("weight" in patch) {
+      const weight = Number(patch.weight);
+      if (!WEIGHT_OPTIONS.includes(weight)) return false;
+      if (weight === (rule.weight || 1)) {
+        delete options.weight;
+      } else {
+        options.weight = weight;
+      }
+    }
+    if ("exempt" in patch) {
+      if (Boolean(patch.exempt) === Boolean(rule.exempt)) {
+        delete options.exempt;
+      } else {
+        options.exempt = Boolean(patch.exempt);
+      }
+    }
+
+    bowl.participation = bowl.participation || {};
+    if (Object.keys(options).length) {
+      bowl.participation[personId] = options;
+    } else {
+      delete bowl.participation[personId];
+    }
+    this.persistAndRender();
+    return true;
+  }
+
+  updateSessionRule(personId, patch) {
+    const session = this.state.currentSession;
+    if (!session || !session.isActive) return;
+    if (!this.state.people.some((p) => p.id === personId)) return;
+    const rule = { ...(session.participantRules?.[personId] || {}) };
+    if ("weight" in patch) {
+      const weight = Number(patch.weight);
+      if (!WEIGHT_OPTIONS.includes(weight)) return;
+      if (weight === 1) {
+        delete rule.weight;
+      } else {
+        rule.weight = weight;
+      }
+    }
+    if ("exempt" in patch) {
+      if (patch.exempt) {
+        rule.exempt = true;
+      } else {
+        delete rule.exempt;
+      }
+    }
+    session.participantRules = session.participantRules || {};
+    if (Object.keys(rule).length) {
+      session.participantRules[personId] = rule;
+    } else {
+      delete session.participantRules[personId];
+    }
     this.persistAndRender();
   }
 
@@ -416,10 +2119,59 @@ class HookahSpliterApp {
     if (!session || !session.isActive || !bowl) return;
     if (!bowl.participantIds.includes(personId)) {
       bowl.participantIds.push(personId);
+      triggerHaptic("add");
       this.persistAndRender();
     }
   }
 
+  addGroupToBowl(groupId) {
+    const session = this.state.currentSession;
+    const bowl = this.ensureActiveBowl(session);
+    const group = this.state.groups.find((entry) => entry.id === groupId);
+    if (!session || !session.isActive || !bowl || !group) return;
+    const personMap = this.getPersonMap();
+    const missing = group.memberIds.filter((id) => personMap.has(id) && !bowl.participantIds.includes(id));
+    if (!missing.length) return;
+    bowl.participantIds.push(...missing);
+    triggerHaptic("add");
+    this.persistAndRender();
+  }
+
+  addGroup(name) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) return;
+    this.state.groups.push({ id: createId(), name: trimmed, memberIds: [] });
+    triggerHaptic("add");
+    this.persistAndRender();
+  }
+
+  updateGroupName(groupId, name) {
+    const group = this.state.groups.find((entry) => entry.id === groupId);
+    const trimmed = (name || "").trim();
+    if (!group || !trimmed) return;
+    group.name = trimmed;
+    this.persistAndRender({ coalesceKey: `group-name-${groupId}` });
+  }
+
+  toggleGroupMember(groupId, personId) {
+    const group = this.state.groups.find((entry) => entry.id === groupId);
+    if (!group || !this.getPersonMap().has(personId)) return;
+    group.memberIds = group.memberIds.includes(personId)
+      ? group.memberIds.filter((id) => id !== personId)
+      : [...group.memberIds, personId];
+    triggerHaptic("select");
+    this.persistAndRender();
+  }
+
+  deleteGroup(groupId) {
+    const group = this.state.groups.find((entry) => entry.id === groupId);
+    if (!group) return;
+    this.state.groups = this.state.groups.filter((entry) => entry.id !== groupId);
+    triggerHaptic("remove");
+    this.persistAndRender();
+    this.showUndoToast(t("groups.deleted", { name: group.name }));
+  }
+
   updateDefaultBowlCost(costValue, inputElement) {
     const value = this.validateCostValue(costValue, inputElement);
     if (value === null) {
@@ -437,137 +2189,570 @@ class HookahSpliterApp {
     return true;
   }
 
-  updatePersonName(personId, name) {
-    const trimmed = (name || "").trim();
-    if (!trimmed) return;
-    const person = this.state.people.find((p) => p.id === personId);
-    if (!person) return;
-    person.name = trimmed;
-    this.state.people.sort((a, b) => a.name.localeCompare(b.name, "ru"));
+  updateRoundingSettings(patch) {
+    const rounding = { ...getRoundingSettings(this.state.settings), ...patch };
+    if ("step" in patch) {
+      rounding.step = Number(patch.step);
+    }
+    this.state.settings.rounding = getRoundingSettings({ rounding });
     this.persistAndRender();
   }
 
-  deletePerson(personId) {
-    this.state.people = this.state.people.filter((p) => p.id !== personId);
-    const session = this.state.currentSession;
-    if (session) {
-      session.bowls.forEach((bowl) => {
-        bowl.participantIds = bowl.participantIds.filter((id) => id !== personId);
+  updateLocale(locale) {
+    if (!LOCALES[locale]) return;
+    this.state.settings.locale = locale;
+    this.persistAndRender();
+  }
+
+  updateDefaultCurrency(currency) {
+    if (!CURRENCIES.includes(currency)) return;
+    this.state.settings.currency = currency;
+    this.persistAndRender();
+  }
+
+  exportState() {
+    const payload = {
+      app: "HookahSpliter",
+      exportedAt: new Date().toISOString(),
+      state: this.state,
+      archive: this.archive,
+    };
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`hookah-spliter-${date}.json`, JSON.stringify(payload, null, 2), "application/json");
+  }
+
+  toggleHistorySelection(sessionId, selected) {
+    if (selected) {
+      this.selectedHistoryIds.add(sessionId);
+    } else {
+      this.selectedHistoryIds.delete(sessionId);
+    }
+    this.renderHistoryPane();
+  }
+
+  // Без отметок выгружаем всю историю; формат «по участникам» или «по чашам»
+  exportHistoryCsv(layout) {
+    const visible = this.getVisibleHistory();
+    const sessions = this.selectedHistoryIds.size
+      ? visible.filter((session) => this.selectedHistoryIds.has(session.id))
+      : visible;
+    if (!sessions.length) return;
+
+    let rows;
+    if (layout === "bowls") {
+      rows = [["csv.session", "csv.venue", "csv.start", "csv.end", "csv.currency", "csv.bowl", "csv.cost", "csv.payer", "csv.participants", "csv.amounts"].map((key) => t(key))];
+      sessions.forEach((session) => {
+        session.bowls.forEach((bowl) => {
+          rows.push([
+            session.name,
+            session.venueName || "",
+            formatCsvDate(session.startedAt),
+            formatCsvDate(session.endedAt),
+            session.currency || DEFAULT_CURRENCY,
+            bowl.name,
+            bowl.cost,
+            bowl.payer || "",
+            bowl.participants.join(", "),
+            bowl.participants
+              .map((name, index) => [name, bowl.amounts?.[getHistoryParticipantKey(bowl, index)]])
+              .filter(([, amount]) => amount !== undefined)
+              .map(([name, amount]) => `${name}: ${amount}`)
+              .join(", "),
+          ]);
+        });
+      });
+    } else {
+      rows = [["csv.session", "csv.venue", "csv.start", "csv.end", "csv.currency", "csv.person", "csv.bowlsCount", "csv.bowlsTotal", "csv.itemsTotal", "csv.surcharges", "csv.total", "csv.paid"].map((key) => t(key))];
+      sessions.forEach((session) => {
+        const payments = session.settlement?.payments || [];
+        session.summary.forEach((row) => {
+          rows.push([
+            session.name,
+            session.venueName || "",
+            formatCsvDate(session.startedAt),
+            formatCsvDate(session.endedAt),
+            session.currency || DEFAULT_CURRENCY,
+            row.name,
+            row.bowlsCount,
+            row.bowlsTotal ?? row.total,
+            row.itemsTotal ?? 0,
+            row.surchargeTotal ?? 0,
+            row.total,
+            payments.find((payment) => payment.personId === row.personId)?.amount ?? 0,
+          ]);
+        });
       });
     }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const suffix = layout === "bowls" ? "bowls" : "people";
+    downloadFile(`hookah-spliter-${suffix}-${date}.csv`, toCsv(rows), "text/csv;charset=utf-8");
+  }
+
+  // Чек печатается из отдельного блока; остальная страница скрыта стилями @media print
+  printSessionReceipt(sessionId) {
+    const session = this.findHistoryEntry(sessionId);
+    const container = document.getElementById("printReceipt");
+    if (!session || !container) return;
+
+    const transfers = session.settlement?.transfers || [];
+    const currency = session.currency || DEFAULT_CURRENCY;
+    container.innerHTML = `
+      <h1 class="h4 mb-1">${escapeHtml(session.name)}</h1>
+      <p class="text-muted mb-4">${escapeHtml(formatDateRange(session.startedAt, session.endedAt))}</p>
+
+      <h2 class="h6">${t("receipt.bowls")}</h2>
+      <table class="table table-sm mb-4">
+        <thead><tr><th>${t("receipt.bowl")}</th><th>${t("receipt.participants")}</th><th>${t("receipt.payer")}</th><th class="text-end">${t("receipt.cost")}</th></tr></thead>
+        <tbody>
+          ${session.bowls
+            .map(
+              (bowl) => `
+                <tr>
+                  <td>${escapeHtml(bowl.name)}</td>
+                  <td>${bowl.participants.map(escapeHtml).join(", ") || "—"}</td>
+                  <td>${escapeHtml(bowl.payer || "—")}</td>
+                  <td class="text-end">${formatCurrency(bowl.cost, currency)}</td>
+                </tr>
+              `,
+            )
+            .join("")}
+        </tbody>
+      </table>
+
+      ${session.items?.length
+        ? `
+          <h2 class="h6">${t("receipt.extras")}</h2>
+          <table class="table table-sm mb-4">
+            <tbody>
+              ${session.items
+                .map(
+                  (item) => `
+                    <tr>
+                      <td>${escapeHtml(item.name)}${item.kind === "percent" ? ` (${item.percent}%)` : ""}</td>
+                      <td>${item.participants.map(escapeHtml).join(", ") || "—"}</td>
+                      <td class="text-end">${formatCurrency(item.amount, currency)}</td>
+                    </tr>
+                  `,
+                )
+                .join("")}
+            </tbody>
+          </table>
+        `
+        : ""}
+
+      <h2 class="h6">${t("receipt.due")}</h2>
+      <table class="table table-sm mb-4">
+        <thead><tr><th>${t("receipt.person")}</th><th class="text-end">${t("receipt.bowlsCount")}</th><th class="text-end">${t("receipt.amount")}</th></tr></thead>
+        <tbody>
+          ${session.summary
+            .map(
+              (row) => `
+                <tr>
+                  <td>${escapeHtml(row.name)}</td>
+                  <td class="text-end">${row.bowlsCount}</td>
+                  <td class="text-end">${formatCurrency(row.total, currency)}</td>
+                </tr>
+              `,
+            )
+            .join("")}
+        </tbody>
+        <tfoot><tr><th colspan="2">${t("receipt.total")}</th><th class="text-end">${formatCurrency(session.totalCost, currency)}</th></tr></tfoot>
+      </table>
+
+      ${transfers.length
+        ? `
+          <h2 class="h6">${t("receipt.transfers")}</h2>
+          <table class="table table-sm">
+            <tbody>
+              ${transfers
+                .map(
+                  (transfer) => `
+                    <tr>
+                      <td>${escapeHtml(transfer.fromName)} → ${escapeHtml(transfer.toName)}</td>
+                      <td>${transfer.paid ? t("receipt.paid") : ""}</td>
+                      <td class="text-end">${formatCurrency(transfer.amount, currency)}</td>
+                    </tr>
+                  `,
+                )
+                .join("")}
+            </tbody>
+          </table>
+        `
+        : ""}
+    `;
+
+    document.body.classList.add("printing-receipt");
+    window.addEventListener("afterprint", () => {
+      document.body.classList.remove("printing-receipt");
+      container.innerHTML = "";
+    }, { once: true });
+    window.print();
+  }
+
+  async importStateFromFile(file, inputElement) {
+    if (!file) return;
+    let imported;
+    let importedArchive = [];
+    try {
+      const parsed = JSON.parse(await file.text());
+      const data = isPlainObject(parsed?.state) ? parsed.state : parsed;
+      if (!isPlainObject(data)) {
+        throw new Error(t("import.noData"));
+      }
+      imported = sanitizeState(migrateState({ schemaVersion: 2, ...data }));
+      importedArchive = Array.isArray(parsed?.archive) ? parsed.archive.filter(isArchiveEntry).map(keyHistoryEntryById) : [];
+    } catch (error) {
+      console.warn("Не удалось импортировать файл", error);
+      this.showValidationMessage(inputElement, t("import.readFailed", { message: error.message }));
+      return;
+    }
+    const confirmed = window.confirm(
+      t("import.confirm", { people: imported.people.length, sessions: imported.savedSessions.length }),
+    );
+    if (!confirmed) return;
+    if (importedArchive.length) {
+      const importedIds = new Set(importedArchive.map((entry) => entry.id));
+      this.archive = sortHistory([...this.archive.filter((entry) => !importedIds.has(entry.id)), ...importedArchive]);
+      saveArchive(this.archive);
+    }
+    this.state = imported;
     this.persistAndRender();
+    this.showUndoToast(t("import.done"));
   }
 
-  addPersonFromPeopleTab(name) {
-    const trimmed = (name || "").trim();
-    if (!trimmed) return;
-    if (this.state.people.some((p) => p.name.toLowerCase() === trimmed.toLowerCase())) {
+  exportQuarantine() {
+    downloadFile("hookah-spliter-quarantine.json", JSON.stringify(this.state.quarantine, null, 2), "application/json");
+  }
+
+  clearQuarantine() {
+    this.state.quarantine = [];
+    this.persistAndRender();
+  }
+
+  updatePersonName(personId, name, input) {
+    const others = this.state.people.filter((p) => p.id !== personId);
+    if (findPersonByName(others, name)) {
+      this.showValidationMessage(input, t("people.aliasTaken", { name: name.trim() }));
       return;
     }
-    this.state.people.push({ id: createId(), name: trimmed });
-    this.state.people.sort((a, b) => a.name.localeCompare(b.name, "ru"));
+    const person = renamePerson(this.state, personId, name);
+    if (!person) return;
+    this.updateArchive((entry) => reassignPersonInEntry(entry, personId, person));
+    this.persistAndRender();
+  }
+
+  updatePersonAliases(personId, value, input) {
+    const person = this.state.people.find((p) => p.id === personId);
+    if (!person) return;
+    const aliases = Array.from(
+      new Map(
+        String(value || "")
+          .split(",")
+          .map((alias) => alias.trim())
+          .filter((alias) => alias && alias.toLowerCase() !== person.name.toLowerCase())
+          .map((alias) => [alias.toLowerCase(), alias]),
+      ).values(),
+    );
+    const others = this.state.people.filter((p) => p.id !== personId);
+    const taken = aliases.find((alias) => findPersonByName(others, alias));
+    if (taken) {
+      this.showValidationMessage(input, t("people.aliasTaken", { name: taken }));
+      return;
+    }
+    person.aliases = aliases;
+    this.persistAndRender({ coalesceKey: `aliases-${personId}` });
+  }
+
+  mergePeople(sourceId, targetId) {
+    const merged = mergePeople(this.state, sourceId, targetId);
+    if (!merged) {
+      this.showValidationMessage(null, t("people.mergeSame"));
+      return;
+    }
+    const { source, target } = merged;
+    this.updateArchive((entry) => reassignPersonInEntry(entry, source.id, target));
+    if (this.openPersonId === source.id) {
+      this.openPersonId = target.id;
+    }
+    triggerHaptic("remove");
+    this.persistAndRender();
+    this.showUndoToast(t("people.merged", { source: source.name, target: target.name }));
+  }
+
+  deletePerson(personId) {
+    const person = deletePerson(this.state, personId);
+    triggerHaptic("remove");
+    this.persistAndRender();
+    this.showUndoToast(person ? t("people.deletedNamed", { name: person.name }) : t("people.deleted"));
+  }
+
+  addPersonFromPeopleTab(name) {
+    if (findPersonByName(this.state.people, name) || !addPerson(this.state, name)) return;
+    triggerHaptic("add");
     this.persistAndRender();
   }
 
   computeSummary(session) {
-    if (!session) {
-      return { rows: [], total: 0, bowls: [] };
+    return computeSummary(this.state, session);
+  }
+
+  computeSettlement(session, summary = this.computeSummary(session)) {
+    return computeSettlement(this.state, session, summary);
+  }
+
+  renderLiveView(container) {
+    this.updateTelegramControls();
+    const view = this.liveView;
+    const shared = view.shared;
+    const leaveButton = `<button class="btn btn-outline-secondary w-100 mt-3" data-action="leave-live">${t("live.backToOwn")}</button>`;
+    if (!shared) {
+      patchHtml(container, `
+        <div class="card-glass p-4 text-center">
+          <p class="${view.error ? "text-danger" : "text-muted"} mb-0">${escapeHtml(view.error || t("live.loading"))}</p>
+          ${leaveButton}
+        </div>
+      `);
+      return;
     }
-    const personMap = this.getPersonMap();
-    const summaryMap = new Map();
-    let totalCost = 0;
-
-    session.bowls.forEach((bowl) => {
-      const participants = bowl.participantIds.map((id) => personMap.get(id)).filter(Boolean);
-      const cost = Math.max(0, Math.round(Number(bowl.cost) || 0));
-      totalCost += cost;
-      if (!participants.length || cost === 0) {
-        return;
-      }
 
-      const baseShare = Math.floor(cost / participants.length);
-      let remainder = cost - baseShare * participants.length;
+    const { session, people, summary } = shared.data;
+    // Снимок пишет владелец: неизвестный код валюты уронил бы Intl.NumberFormat
+    const currency = CURRENCIES.includes(session.currency)
+      ? session.currency
+      : this.state.settings.currency || DEFAULT_CURRENCY;
+    const personMap = new Map(people.map((person) => [person.id, person]));
+    const myUserId = String(this.auth?.user?.id ?? "");
+    const myPersonId = session.guests?.[myUserId] || null;
+    const pendingBowlIds = new Set(
+      shared.joins.filter((join) => String(join.user.id) === myUserId).map((join) => join.bowlId),
+    );
+    const activeBowl = session.bowls.find((bowl) => bowl.id === session.activeBowlId) || session.bowls[0];
+    const myRow = summary.rows.find((row) => row.personId === myPersonId);
 
-      participants.forEach((person) => {
-        if (!summaryMap.has(person.id)) {
-          summaryMap.set(person.id, {
-            personId: person.id,
-            name: person.name,
-            bowlsCount: 0,
-            total: 0,
-          });
-        }
-        const entry = summaryMap.get(person.id);
-        entry.bowlsCount += 1;
-        const share = baseShare + (remainder > 0 ? 1 : 0);
-        if (remainder > 0) {
-          remainder -= 1;
-        }
-        entry.total += share;
-      });
-    });
+    patchHtml(container, `
+      <div class="d-grid gap-3">
+        <div class="card-glass p-4">
+          <div class="d-flex justify-content-between align-items-start gap-2">
+            <div>
+              <h2 class="h5 fw-semibold mb-1">${escapeHtml(session.name)}</h2>
+              <div class="text-muted small">${escapeHtml(t("live.hostedBy", { owner: shared.ownerName || t("live.owner"), date: formatDateTime(session.startedAt) }))}</div>
+            </div>
+            <span class="badge ${session.isActive ? "text-bg-success" : "text-bg-secondary"}">${session.isActive ? t("live.inProgress") : t("live.finished")}</span>
+          </div>
+          ${myRow
+            ? `<div class="mt-3 fw-semibold">${t("live.youOwe", { amount: formatCurrency(myRow.total, currency) })}</div>`
+            : ''}
+          ${view.updatedAt ? `<div class="text-muted small mt-2">${escapeHtml(t("live.updated", { date: formatDateTime(view.updatedAt) }))}</div>` : ''}
+        </div>
 
-    const rows = Array.from(summaryMap.values()).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name, "ru"));
+        <div class="card-glass p-4">
+          <h3 class="h6 mb-3">${t("live.bowls")}</h3>
+          <div class="list-group list-group-flush">
+            ${session.bowls
+              .map((bowl) => {
+                const isActive = activeBowl && bowl.id === activeBowl.id;
+                const isMine = Boolean(myPersonId) && bowl.participantIds.includes(myPersonId);
+                return `
+                  <div class="list-group-item">
+                    <div class="d-flex justify-content-between align-items-center">
+                      <span class="fw-semibold">${escapeHtml(bowl.name)}${isActive && session.isActive ? ` <span class="badge text-bg-primary">${t("bowl.smoking")}</span>` : ''}</span>
+                      <span class="badge text-bg-light">${formatCurrency(bowl.cost, currency)}</span>
+                    </div>
+                    <div class="text-muted small">${bowl.participantIds.map((id) => escapeHtml(personMap.get(id)?.name || "")).filter(Boolean).join(", ") || t("live.noParticipants")}</div>
+                    ${isActive && session.isActive && !isMine
+                      ? pendingBowlIds.has(bowl.id)
+                        ? `<div class="text-muted small mt-2">${t("live.requestPending")}</div>`
+                        : `<button class="btn btn-sm btn-primary mt-2" data-action="join-live-bowl" data-bowl-id="${escapeHtml(bowl.id)}">${t("live.joinBowl")}</button>`
+                      : ''}
+                  </div>
+                `;
+              })
+              .join("")}
+          </div>
+        </div>
 
-    return { rows, total: totalCost };
+        <div class="card-glass p-4">
+          <div class="d-flex justify-content-between align-items-center mb-3">
+            <h3 class="h6 mb-0">${t("summary.title")}</h3>
+            <span class="badge text-bg-light">${formatCurrency(summary.total, currency)}</span>
+          </div>
+          ${summary.rows.length
+            ? `
+              <div class="list-group list-group-flush">
+                ${summary.rows
+                  .map(
+                    (row) => `
+                      <div class="list-group-item d-flex justify-content-between align-items-center ${row.personId === myPersonId ? "fw-semibold" : ""}">
+                        <span>${escapeHtml(row.name)}${row.personId === myPersonId ? ` (${t("live.you")})` : ""}</span>
+                        <span class="badge text-bg-primary">${formatCurrency(row.total, currency)}</span>
+                      </div>
+                    `,
+                  )
+                  .join("")}
+              </div>
+            `
+            : `<p class="text-muted small mb-0">${t("live.nobodyYet")}</p>`}
+          ${leaveButton}
+        </div>
+      </div>
+    `);
   }
 
   renderSessionPane() {
     const container = this.elements.sessionPane;
     const session = this.state.currentSession;
 
+    if (this.liveView) {
+      this.renderLiveView(container);
+      return;
+    }
+
     if (!session || !session.isActive) {
       const suggestedName = session && !session.isActive ? session.name : getDefaultSessionName();
-      container.innerHTML = `
+      const suggestedGroup = suggestGroup(this.state.groups, this.getAllHistory());
+      patchHtml(container, `
         <div class="card-glass p-4">
-          <h2 class="h5 fw-semibold mb-3">Начать новый вечер</h2>
+          <h2 class="h5 fw-semibold mb-3">${t("session.newTitle")}</h2>
           <div class="mb-3">
-            <label for="newSessionName" class="form-label">Название сессии</label>
-            <input type="text" id="newSessionName" class="form-control" value="${escapeHtml(suggestedName)}" placeholder="Например, Пятница с друзьями" />
+            <label for="newSessionName" class="form-label">${t("session.name")}</label>
+            <input type="text" id="newSessionName" class="form-control" value="${escapeHtml(suggestedName)}" placeholder="${t("session.namePlaceholder")}" data-role="new-session-name" />
           </div>
-          <button class="btn btn-primary w-100" data-action="start-session">Начать сессию</button>
+          ${this.state.venues.length
+            ? `
+              <div class="mb-3">
+                <label for="newSessionVenue" class="form-label">${t("venues.label")}</label>
+                <select id="newSessionVenue" class="form-select" data-role="new-session-venue">
+                  <option value="">${t("venues.none")}</option>
+                  ${this.state.venues.map((venue) => `<option value="${venue.id}">${escapeHtml(venue.name)}</option>`).join("")}
+                </select>
+              </div>
+            `
+            : ''}
+          ${this.state.groups.length
+            ? `
+              <div class="mb-3">
+                <label for="newSessionGroup" class="form-label">${t("groups.label")}</label>
+                <select id="newSessionGroup" class="form-select" data-role="new-session-group">
+                  <option value="">${t("groups.none")}</option>
+                  ${this.state.groups
+                    .map((group) => `<option value="${group.id}" ${group.id === suggestedGroup?.group.id ? "selected" : ""}>${escapeHtml(group.name)}</option>`)
+                    .join("")}
+                </select>
+                ${suggestedGroup
+                  ? `<div class="form-text">${t("groups.suggestedHint", { name: escapeHtml(suggestedGroup.group.name), sessions: tn("stats.sessionsCount", suggestedGroup.usage) })}</div>`
+                  : ''}
+              </div>
+            `
+            : ''}
+          <button class="btn btn-primary w-100" data-action="start-session">${t("session.start")}</button>
         </div>
-      `;
-
-      container.querySelector('[data-action="start-session"]').addEventListener('click', () => {
-        const input = container.querySelector('#newSessionName');
-        this.startSession(input.value);
-      });
-      container.querySelector('#newSessionName').addEventListener('keydown', (event) => {
-        if (event.key === 'Enter') {
-          event.preventDefault();
-          this.startSession(event.target.value);
-        }
-      });
+      `);
       return;
     }
 
     const activeBowl = this.ensureActiveBowl(session);
     const personMap = this.getPersonMap();
+    const myPersonId = this.getMyPersonId();
+    const sessionVenue = this.getSessionVenue(session);
+    const currency = session.currency || DEFAULT_CURRENCY;
     const participants = activeBowl ? activeBowl.participantIds.map((id) => personMap.get(id)).filter(Boolean) : [];
     const availablePeople = this.state.people.filter((person) => !activeBowl?.participantIds.includes(person.id));
+    const availableGroups = this.state.groups.filter((group) =>
+      group.memberIds.some((id) => personMap.has(id) && !activeBowl?.participantIds.includes(id)),
+    );
+    const suggestedGroup = suggestGroup(
+      availableGroups,
+      this.getAllHistory(),
+      session.bowls.flatMap((bowl) => bowl.participantIds),
+    );
     const summary = this.computeSummary(session);
+    const settlement = this.computeSettlement(session, summary);
+    const payments = (session.payments || []).filter((payment) => personMap.has(payment.personId));
+    const bowlPayments = session.bowls.filter((bowl) => personMap.has(bowl.payerId));
+    const suggestedPayment = Math.max(0, summary.total - settlement.paidTotal);
+    const sessionItems = session.items || [];
+    const itemsTotal = summary.items.reduce((sum, item) => sum + item.amount, 0);
+    const describeItem = (item) => {
+      if (item.kind === "percent") return t("items.percentOfBill", { percent: item.percent });
+      if (item.split === "everyone") return t(ITEM_SPLIT_LABELS.everyone);
+      const names = (item.participantIds || []).map((id) => personMap.get(id)?.name).filter(Boolean);
+      return names.length ? names.join(", ") : t("items.nobodySelected");
+    };
 
-    container.innerHTML = `
+    patchHtml(container, `
       <div class="d-grid gap-3">
         <div class="card-glass p-4">
           <div class="d-flex flex-column gap-3">
             <div>
-              <label class="form-label text-uppercase small text-muted mb-1">Название сессии</label>
+              <label class="form-label text-uppercase small text-muted mb-1">${t("session.name")}</label>
               <input type="text" class="form-control" value="${escapeHtml(session.name)}" data-role="session-name" />
             </div>
+            ${this.state.venues.length
+              ? `
+                <div>
+                  <label class="form-label text-uppercase small text-muted mb-1">${t("venues.label")}</label>
+                  <select class="form-select" data-role="session-venue">
+                    <option value="">${t("venues.none")}</option>
+                    ${this.state.venues
+                      .map((venue) => `<option value="${venue.id}" ${venue.id === session.venueId ? "selected" : ""}>${escapeHtml(venue.name)}</option>`)
+                      .join("")}
+                  </select>
+                </div>
+              `
+              : ''}
+            <div>
+              <label class="form-label text-uppercase small text-muted mb-1">${t("currency.label")}</label>
+              <select class="form-select" data-role="session-currency">
+                ${this.renderCurrencyOptions(currency)}
+              </select>
+            </div>
+            ${session.editingHistoryId
+              ? `
+                <div class="alert alert-warning small mb-0 d-flex flex-wrap gap-2 align-items-center justify-content-between">
+                  <span>${t("session.editingNotice")}</span>
+                  <button class="btn btn-sm btn-outline-secondary" data-action="cancel-editing">${t("session.cancelEditing")}</button>
+                </div>
+              `
+              : ''}
             <div class="d-flex flex-wrap gap-2 align-items-center justify-content-between">
-              <div class="text-muted small">Старт: ${escapeHtml(formatDateTime(session.startedAt))}</div>
-              <button class="btn btn-outline-danger" data-action="end-session">Завершить сессию</button>
+              <div class="text-muted small">${escapeHtml(t("session.startedAt", { date: formatDateTime(session.startedAt) }))}</div>
+              <button class="btn ${session.editingHistoryId ? "btn-primary" : "btn-outline-danger"}" data-action="end-session">${session.editingHistoryId ? t("session.saveChanges") : t("session.finish")}</button>
             </div>
+            ${session.shareCode
+              ? `
+                <div class="d-flex flex-wrap gap-2 align-items-center justify-content-between">
+                  <span class="text-muted small">${t("live.ownerHint")}</span>
+                  <button class="btn btn-sm btn-outline-primary" data-action="copy-share-link">${t("live.copyLink")}</button>
+                </div>
+              `
+              : this.auth
+                ? `<button class="btn btn-outline-primary" data-action="share-live">${t("live.invite")}</button>`
+                : ''}
+            ${this.renderSessionRules(session, personMap)}
           </div>
         </div>
 
         <div class="card-glass p-4">
           <div class="d-flex justify-content-between align-items-center mb-3">
-            <h3 class="h6 mb-0">Чаши</h3>
-            <button class="btn btn-primary btn-sm" data-action="add-bowl">Добавить чашу</button>
+            <h3 class="h6 mb-0">${t("session.bowls")}</h3>
+            <button class="btn btn-primary btn-sm" data-action="add-bowl">${t("session.addBowl")}</button>
           </div>
+          ${sessionVenue?.menu.length
+            ? `
+              <div class="d-flex flex-wrap gap-2 mb-3">
+                ${sessionVenue.menu
+                  .map(
+                    (preset) => `
+                      <button class="tag-button" type="button" data-action="add-preset-bowl" data-preset-id="${preset.id}">
+                        + ${escapeHtml(preset.name)} · ${formatCurrency(preset.cost, currency)}
+                      </button>
+                    `,
+                  )
+                  .join("")}
+              </div>
+            `
+            : ''}
           <div class="list-group list-group-flush">
             ${session.bowls
               .map(
@@ -577,9 +2762,17 @@ class HookahSpliterApp {
                     class="list-group-item list-group-item-action ${bowl.id === activeBowl.id ? "active" : ""}"
                     data-action="select-bowl"
                     data-bowl-id="${bowl.id}"
+                    data-key="${bowl.id}"
                   >
                     <div class="d-flex justify-content-between align-items-center">
-                      <span>${escapeHtml(bowl.name)}</span>
+                      <span>
+                        ${escapeHtml(bowl.name)}
+                        ${bowl.startedAt
+                          ? bowl.endedAt
+                            ? `<small class="opacity-75 ms-2">${formatDuration(getBowlDuration(bowl))}</small>`
+                            : `<small class="opacity-75 ms-2 bowl-timer" data-role="bowl-timer" data-bowl-id="${bowl.id}">${formatTimer(getBowlDuration(bowl))}</small>`
+                          : ''}
+                      </span>
                       <span class="badge ${bowl.id === activeBowl.id ? "bg-light text-dark" : "text-bg-light"}">${bowl.participantIds.length}</span>
                     </div>
                   </button>
@@ -593,11 +2786,27 @@ class HookahSpliterApp {
           ? `
           <div class="card-glass p-4 d-grid gap-3">
             <div>
-              <label class="form-label text-uppercase small text-muted mb-1">Название чаши</label>
-              <input type="text" class="form-control" value="${escapeHtml(activeBowl.name)}" data-role="bowl-name" />
+              <label class="form-label text-uppercase small text-muted mb-1">${t("bowl.name")}</label>
+              <input type="text" class="form-control" value="${escapeHtml(activeBowl.name)}" data-role="bowl-name" data-bowl-id="${activeBowl.id}" />
+            </div>
+            <div class="d-flex flex-wrap gap-2 align-items-center justify-content-between">
+              ${activeBowl.startedAt
+                ? activeBowl.endedAt
+                  ? `
+                    <span class="text-muted small">${t("timer.finished", { duration: formatDuration(getBowlDuration(activeBowl)) })}</span>
+                    <button class="btn btn-sm btn-outline-secondary" type="button" data-action="resume-bowl" data-bowl-id="${activeBowl.id}">${t("timer.resume")}</button>
+                  `
+                  : `
+                    <span class="h5 mb-0 bowl-timer" data-role="bowl-timer" data-bowl-id="${activeBowl.id}">${formatTimer(getBowlDuration(activeBowl))}</span>
+                    <button class="btn btn-sm btn-outline-primary" type="button" data-action="finish-bowl" data-bowl-id="${activeBowl.id}">${t("timer.finish")}</button>
+                  `
+                : `
+                  <span class="text-muted small">${t("timer.notStarted")}</span>
+                  <button class="btn btn-sm btn-outline-primary" type="button" data-action="start-bowl-timer" data-bowl-id="${activeBowl.id}">${t("timer.start")}</button>
+                `}
             </div>
             <div>
-              <label class="form-label text-uppercase small text-muted mb-1">Стоимость (₽)</label>
+              <label class="form-label text-uppercase small text-muted mb-1">${t("bowl.cost", { symbol: getCurrencySymbol(currency) })}</label>
               <input
                 type="number"
                 min="1"
@@ -606,11 +2815,27 @@ class HookahSpliterApp {
                 class="form-control"
                 value="${activeBowl.cost ?? ""}"
                 data-role="bowl-cost"
+                data-bowl-id="${activeBowl.id}"
+                data-cost-input
+                data-last-valid-value="${activeBowl.cost ?? ""}"
               />
             </div>
+            <div>
+              <label class="form-label text-uppercase small text-muted mb-1">${t("bowl.payer")}</label>
+              <select class="form-select" data-role="bowl-payer" data-bowl-id="${activeBowl.id}">
+                <option value="">${t("bowl.payerNone")}</option>
+                ${this.state.people
+                  .map(
+                    (person) => `
+                      <option value="${person.id}" ${activeBowl.payerId === person.id ? "selected" : ""}>${escapeHtml(person.name)}</option>
+                    `,
+                  )
+                  .join("")}
+              </select>
+            </div>
             <div>
               <div class="d-flex justify-content-between align-items-center mb-2">
-                <span class="section-title mb-0">Участники</span>
+                <span class="section-title mb-0">${t("bowl.participants")}</span>
                 <span class="badge text-bg-light">${participants.length}</span>
               </div>
               <ul class="list-group mb-3">
@@ -618,19 +2843,48 @@ class HookahSpliterApp {
                   ? participants
                       .map(
                         (person) => `
-                          <li class="list-group-item d-flex justify-content-between align-items-center">
-                            <span>${escapeHtml(person.name)}</span>
-                            <button class="btn btn-sm btn-outline-danger" data-action="remove-participant" data-person-id="${person.id}">Убрать</button>
+                          <li class="list-group-item" data-key="${person.id}">
+                            <div class="d-flex justify-content-between align-items-center gap-2">
+                              <span class="me-auto">${escapeHtml(person.name)}</span>
+                              <select class="form-select form-select-sm w-auto" data-role="participant-share" data-person-id="${person.id}" aria-label="${t("bowl.shareLabel")}">
+                                ${PARTICIPATION_SHARES.map(
+                                  (option) => `
+                                    <option value="${option.value}" ${getParticipantShare(activeBowl, person.id) === option.value ? "selected" : ""}>${t(option.label)}</option>
+                                  `,
+                                ).join("")}
+                              </select>
+                              <button class="btn btn-sm btn-outline-danger" data-action="remove-participant" data-person-id="${person.id}">${t("common.remove")}</button>
+                            </div>
+                            ${this.renderParticipantTerms(session, activeBowl, person)}
                           </li>
                         `,
                       )
                       .join("")
-                  : '<li class="list-group-item text-muted small">Добавьте участников в чашу</li>'}
+                  : `<li class="list-group-item text-muted small">${t("bowl.addParticipantsHint")}</li>`}
               </ul>
               <div class="input-group mb-3">
-                <input type="text" class="form-control" placeholder="Имя участника" data-role="participant-search" />
-                <button class="btn btn-primary" type="button" data-action="add-participant">Добавить</button>
+                <input type="text" class="form-control" placeholder="${t("bowl.participantPlaceholder")}" data-role="participant-search" />
+                <button class="btn btn-primary" type="button" data-action="add-participant">${t("common.add")}</button>
               </div>
+              ${availableGroups.length
+                ? `
+                  <div class="d-flex flex-wrap align-items-center gap-2 mb-2">
+                    <span class="text-muted small">${t("groups.label")}:</span>
+                    ${availableGroups
+                      .map(
+                        (group) => `
+                          <button
+                            class="tag-button ${group.id === suggestedGroup?.group.id ? "active" : ""}"
+                            data-action="add-group"
+                            data-group-id="${group.id}"
+                            ${group.id === suggestedGroup?.group.id ? `title="${t("groups.suggested")}"` : ""}
+                          >＋ ${escapeHtml(group.name)}</button>
+                        `,
+                      )
+                      .join("")}
+                  </div>
+                `
+                : ''}
               ${availablePeople.length
                 ? `
                   <div class="d-flex flex-wrap gap-2">
@@ -646,129 +2900,666 @@ class HookahSpliterApp {
                 : ''}
             </div>
           </div>
-        `
-          : ''}
+        `
+          : ''}
+
+        <div class="card-glass p-4">
+          <div class="d-flex justify-content-between align-items-center mb-3">
+            <h3 class="h6 mb-0">${t("items.title")}</h3>
+            <span class="badge text-bg-light">${formatCurrency(itemsTotal, currency)}</span>
+          </div>
+          ${sessionItems.length
+            ? `
+              <ul class="list-group mb-3">
+                ${sessionItems
+                  .map(
+                    (item) => `
+                      <li class="list-group-item d-flex justify-content-between align-items-center gap-2" data-key="${item.id}">
+                        <div class="me-auto">
+                          <div>${escapeHtml(item.name)}</div>
+                          <div class="text-muted small">${escapeHtml(describeItem(item))}</div>
+                        </div>
+                        <span class="badge text-bg-light">${formatCurrency(summary.items.find((entry) => entry.itemId === item.id)?.amount)}</span>
+                        <button class="btn btn-sm btn-outline-danger" data-action="remove-item" data-item-id="${item.id}">${t("common.remove")}</button>
+                      </li>
+                    `,
+                  )
+                  .join("")}
+              </ul>
+            `
+            : `<p class="text-muted small">${t("items.hint")}</p>`}
+          <div class="d-grid gap-2">
+            <input type="text" class="form-control" placeholder="${t("items.namePlaceholder")}" data-role="item-name" />
+            <div class="input-group">
+              <input
+                type="number"
+                min="1"
+                max="${MAX_COST_VALUE}"
+                inputmode="numeric"
+                class="form-control"
+                placeholder="${t("items.amountPlaceholder")}"
+                data-role="item-value"
+              />
+              <select class="form-select" data-role="item-kind" aria-label="${t("items.kindLabel")}">
+                <option value="fixed">${escapeHtml(getCurrencySymbol(currency))}</option>
+                <option value="percent">${t("items.kindPercent")}</option>
+              </select>
+            </div>
+            <select class="form-select" data-role="item-split" aria-label="${t("items.splitLabel")}">
+              ${Object.entries(ITEM_SPLIT_LABELS)
+                .map(([value, label]) => `<option value="${value}">${t(label)}</option>`)
+                .join("")}
+            </select>
+            <div class="d-flex flex-wrap gap-2 d-none" data-role="item-people">
+              ${this.state.people
+                .map(
+                  (person) => `
+                    <label class="tag-button">
+                      <input type="checkbox" class="form-check-input me-1" value="${person.id}" />
+                      ${escapeHtml(person.name)}
+                    </label>
+                  `,
+                )
+                .join("")}
+            </div>
+            <select class="form-select d-none" data-role="item-person" aria-label="${t("items.personLabel")}">
+              ${this.state.people
+                .map((person) => `<option value="${person.id}">${escapeHtml(person.name)}</option>`)
+                .join("")}
+            </select>
+            <button class="btn btn-primary" type="button" data-action="add-item">${t("items.add")}</button>
+          </div>
+        </div>
+
+        <div class="card-glass p-4">
+          <div class="d-flex justify-content-between align-items-center mb-3">
+            <h3 class="h6 mb-0">${t("payments.title")}</h3>
+            <span class="badge text-bg-light">${t("payments.progress", { paid: formatCurrency(settlement.paidTotal, currency), total: formatCurrency(summary.total, currency) })}</span>
+          </div>
+          ${bowlPayments.length || payments.length
+            ? `
+              <ul class="list-group mb-3">
+                ${bowlPayments
+                  .map(
+                    (bowl) => `
+                      <li class="list-group-item d-flex justify-content-between align-items-center">
+                        <span>${escapeHtml(personMap.get(bowl.payerId).name)} <span class="text-muted small">· ${escapeHtml(bowl.name)}</span></span>
+                        <span class="badge text-bg-light">${formatCurrency(bowl.cost, currency)}</span>
+                      </li>
+                    `,
+                  )
+                  .join("")}
+                ${payments
+                  .map(
+                    (payment) => `
+                      <li class="list-group-item d-flex justify-content-between align-items-center gap-2" data-key="${payment.id}">
+                        <span class="me-auto">${escapeHtml(personMap.get(payment.personId).name)}</span>
+                        <span class="badge text-bg-light">${formatCurrency(payment.amount, currency)}</span>
+                        <button class="btn btn-sm btn-outline-danger" data-action="remove-payment" data-payment-id="${payment.id}">${t("common.remove")}</button>
+                      </li>
+                    `,
+                  )
+                  .join("")}
+              </ul>
+            `
+            : `<p class="text-muted small">${t("payments.hint")}</p>`}
+          ${this.state.people.length
+            ? `
+              <div class="input-group">
+                <select class="form-select" data-role="payment-person" aria-label="${t("payments.personLabel")}">
+                  ${this.state.people
+                    .map((person) => `<option value="${person.id}">${escapeHtml(person.name)}</option>`)
+                    .join("")}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  max="${MAX_COST_VALUE}"
+                  inputmode="numeric"
+                  class="form-control"
+                  placeholder="${t("items.amountPlaceholder")}"
+                  value="${suggestedPayment > 0 && suggestedPayment <= MAX_COST_VALUE ? suggestedPayment : ""}"
+                  data-role="payment-amount"
+                  data-cost-input
+                />
+                <button class="btn btn-primary" type="button" data-action="add-payment">${t("payments.add")}</button>
+              </div>
+            `
+            : ''}
+        </div>
+
+        <div class="card-glass p-4">
+          <div class="d-flex justify-content-between align-items-center mb-3">
+            <h3 class="h6 mb-0">${t("summary.title")}</h3>
+            <div class="d-flex align-items-center gap-2">
+              ${summary.rows.length
+                ? `<button class="btn btn-sm btn-outline-primary" type="button" data-action="share-bill">${t("common.share")}</button>`
+                : ''}
+              <span class="badge text-bg-light">${formatCurrency(summary.total, currency)}</span>
+            </div>
+          </div>
+          ${summary.rows.length
+            ? `
+              <div class="list-group list-group-flush">
+                ${summary.rows
+                  .map(
+                    (row) => `
+                      <div class="list-group-item d-flex justify-content-between align-items-center">
+                        <div>
+                          <div class="fw-semibold d-flex align-items-center gap-2">
+                            ${renderAvatar(personMap.get(row.personId))}
+                            ${escapeHtml(row.name)}${row.personId === myPersonId ? ` <span class="badge text-bg-primary">${t("people.itsYou")}</span>` : ''}
+                          </div>
+                          <div class="text-muted small">${t("summary.bowlsCount", { count: row.bowlsCount })}${row.partialBowlsCount ? t("summary.partial", { count: row.partialBowlsCount }) : ""}${row.exemptBowlsCount ? t("summary.exempt", { count: row.exemptBowlsCount }) : ""}</div>
+                          ${row.itemsTotal || row.surchargeTotal
+                            ? `<div class="text-muted small">${t("summary.breakdown", { bowls: formatCurrency(row.bowlsTotal, currency), items: formatCurrency(row.itemsTotal, currency) })}${row.surchargeTotal ? t("summary.surcharges", { amount: formatCurrency(row.surchargeTotal, currency) }) : ""}</div>`
+                            : ""}
+                        </div>
+                        <span class="badge text-bg-primary">${formatCurrency(row.total, currency)}</span>
+                      </div>
+                    `,
+                  )
+                  .join("")}
+              </div>
+            `
+            : `<p class="text-muted small mb-0">${t("summary.empty")}</p>`}
+          ${settlement.transfers.length
+            ? `
+              <h4 class="section-title mt-3 mb-2">${t("summary.transfers")}</h4>
+              <div class="list-group list-group-flush">
+                ${settlement.transfers
+                  .map(
+                    (transfer) => `
+                      <div class="list-group-item" data-key="${transfer.fromId}-${transfer.toId}">
+                        <div class="d-flex justify-content-between align-items-center">
+                          <span>${escapeHtml(transfer.fromName)} → ${escapeHtml(transfer.toName)}</span>
+                          <span class="badge text-bg-primary">${formatCurrency(transfer.amount, currency)}</span>
+                        </div>
+                        ${this.renderPaymentDetails(transfer, { currency, sessionName: session.name, key: `${session.id}:${transfer.fromId}:${transfer.toId}` })}
+                      </div>
+                    `,
+                  )
+                  .join("")}
+              </div>
+            `
+            : ''}
+          ${summary.unallocated
+            ? `<p class="text-muted small mt-2 mb-0">${t("summary.unallocated", { amount: formatCurrency(summary.unallocated, currency) })}</p>`
+            : ''}
+          ${summary.roundingSurplus
+            ? `<p class="text-muted small mt-2 mb-0">${t(summary.surplusMode === "tip" ? "summary.surplusTip" : "summary.surplusPayer", { amount: formatCurrency(summary.roundingSurplus, currency) })}</p>`
+            : ''}
+          ${settlement.paidTotal && settlement.unsettled
+            ? `<p class="text-muted small mt-2 mb-0">${t(settlement.unsettled > 0 ? "summary.unpaid" : "summary.overpaid", { amount: formatCurrency(Math.abs(settlement.unsettled), currency) })}</p>`
+            : ''}
+        </div>
+      </div>
+    `);
+
+    this.syncItemForm();
+  }
+
+  // Форма доп. позиции не хранится в состоянии: видимость полей следует за выбранными значениями
+  syncItemForm() {
+    const pane = this.elements.sessionPane;
+    const kindSelect = pane.querySelector('[data-role="item-kind"]');
+    if (!kindSelect) return;
+    const splitSelect = pane.querySelector('[data-role="item-split"]');
+    const isPercent = kindSelect.value === "percent";
+    pane.querySelector('[data-role="item-value"]').placeholder = isPercent ? t("items.percentPlaceholder") : t("items.amountPlaceholder");
+    splitSelect.classList.toggle('d-none', isPercent);
+    pane.querySelector('[data-role="item-people"]').classList.toggle('d-none', isPercent || splitSelect.value !== "selected");
+    pane.querySelector('[data-role="item-person"]').classList.toggle('d-none', isPercent || splitSelect.value !== "single");
+  }
+
+  submitItemForm() {
+    const pane = this.elements.sessionPane;
+    const valueInput = pane.querySelector('[data-role="item-value"]');
+    const split = pane.querySelector('[data-role="item-split"]').value;
+    const participantIds = split === "single"
+      ? [pane.querySelector('[data-role="item-person"]').value].filter(Boolean)
+      : Array.from(pane.querySelectorAll('[data-role="item-people"] input:checked')).map((checkbox) => checkbox.value);
+    this.addItem(
+      {
+        name: pane.querySelector('[data-role="item-name"]').value,
+        kind: pane.querySelector('[data-role="item-kind"]').value,
+        value: valueInput.value,
+        split,
+        participantIds,
+      },
+      valueInput,
+    );
+  }
+
+  startSessionFromForm() {
+    const pane = this.elements.sessionPane;
+    this.startSession(
+      pane.querySelector('[data-role="new-session-name"]').value,
+      pane.querySelector('[data-role="new-session-venue"]')?.value,
+      pane.querySelector('[data-role="new-session-group"]')?.value,
+    );
+  }
+
+  getSessionPaneHandlers() {
+    return {
+      click: {
+        "leave-live": () => this.leaveLiveView(),
+        "join-live-bowl": (button) => this.joinLiveBowl(button.dataset.bowlId),
+        "start-session": () => this.startSessionFromForm(),
+        "end-session": () => this.endSession(),
+        "cancel-editing": () => this.cancelSessionEditing(),
+        "share-live": () => this.shareLiveSession(),
+        "share-bill": () => this.shareBill(),
+        "copy-share-link": () => this.copyShareLink(this.state.currentSession?.shareCode),
+        "copy-payment": (button) => this.copyPaymentMessage(button),
+        "remove-item": (button) => this.removeItem(button.dataset.itemId),
+        "add-item": () => this.submitItemForm(),
+        "remove-payment": (button) => this.removePayment(button.dataset.paymentId),
+        "add-payment": () => {
+          const pane = this.elements.sessionPane;
+          const amountInput = pane.querySelector('[data-role="payment-amount"]');
+          this.addPayment(pane.querySelector('[data-role="payment-person"]').value, amountInput.value, amountInput);
+        },
+        "add-bowl": () => this.addBowl(),
+        "add-preset-bowl": (button) => this.addBowl(button.dataset.presetId),
+        "select-bowl": (button) => this.selectBowl(button.dataset.bowlId),
+        "start-bowl-timer": (button) => this.startBowlTimer(button.dataset.bowlId),
+        "finish-bowl": (button) => this.finishBowl(button.dataset.bowlId),
+        "resume-bowl": (button) => this.resumeBowl(button.dataset.bowlId),
+        "add-participant": () => {
+          const input = this.elements.sessionPane.querySelector('[data-role="participant-search"]');
+          this.addParticipantByName(input.value);
+          input.value = '';
+          input.focus();
+        },
+        "remove-participant": (button) => this.removeParticipant(button.dataset.personId),
+        "quick-add": (button) => this.quickAddParticipant(button.dataset.personId),
+        "add-group": (button) => this.addGroupToBowl(button.dataset.groupId),
+      },
+      input: {
+        "session-name": (input) => this.updateSessionName(input.value),
+        "bowl-name": (input) => this.updateBowlName(input.dataset.bowlId, input.value),
+        "item-value": (input) => {
+          if (this.elements.sessionPane.querySelector('[data-role="item-kind"]').value !== "percent") {
+            this.enforceCostInputConstraints(input);
+          }
+        },
+      },
+      change: {
+        "session-venue": (select) => this.updateSessionVenue(select.value),
+        "session-currency": (select) => this.updateSessionCurrency(select.value),
+        "rule-weight": (select) => this.updateSessionRule(select.dataset.personId, { weight: select.value }),
+        "rule-exempt": (checkbox) => this.updateSessionRule(checkbox.dataset.personId, { exempt: checkbox.checked }),
+        "item-kind": () => this.syncItemForm(),
+        "item-split": () => this.syncItemForm(),
+        "bowl-cost": (input) => this.updateBowlCost(input.dataset.bowlId, input.value, input),
+        "bowl-payer": (select) => this.updateBowlPayer(select.dataset.bowlId, select.value),
+        "participant-share": (select) => this.updateParticipantShare(select.dataset.personId, select.value),
+        "participant-weight": (select) => this.updateParticipantTerms(select.dataset.personId, { weight: select.value }),
+        "participant-exempt": (checkbox) => this.updateParticipantTerms(checkbox.dataset.personId, { exempt: checkbox.checked }),
+        "participant-fixed": (input) => this.updateParticipantTerms(input.dataset.personId, { fixed: input.value }, input),
+      },
+      keydown: {
+        "new-session-name": (input, event) => {
+          if (event.key !== 'Enter') return;
+          event.preventDefault();
+          this.startSessionFromForm();
+        },
+        "participant-search": this.onEnter((value) => this.addParticipantByName(value)),
+      },
+    };
+  }
+
+  // Реквизиты получателя под неоплаченным переводом: готовый текст и QR-код на ту же сумму
+  renderPaymentDetails(transfer, { currency, sessionName, key }) {
+    const payment = this.state.people.find((person) => person.id === transfer.toId)?.payment;
+    if (!payment || transfer.paid) return "";
+    const detailsKey = `payment:${key}`;
+    const isOpen = this.openDetailsKeys.has(detailsKey);
+    const message = isOpen ? formatPaymentMessage({ transfer, currency, sessionName, payment }) : "";
+    return `
+      <details class="mt-1 small" data-details-key="${detailsKey}" data-lazy ${isOpen ? "open" : ""}>
+        <summary class="text-muted">${t("payment.show")}</summary>
+        ${isOpen
+          ? `
+            <div class="d-grid gap-2 mt-2">
+              <textarea class="form-control form-control-sm" rows="${message.split("\n").length}" readonly data-role="payment-message">${escapeHtml(message)}</textarea>
+              <button class="btn btn-sm btn-outline-primary" type="button" data-action="copy-payment">${t("payment.copy")}</button>
+              <div class="payment-qr">${renderQrSvg(message, t("payment.qrLabel"))}</div>
+            </div>
+          `
+          : ''}
+      </details>
+    `;
+  }
+
+  async copyPaymentMessage(button) {
+    const message = button.closest("details")?.querySelector('[data-role="payment-message"]')?.value;
+    if (!message) return;
+    if (await copyText(message, t("payment.copyPrompt"))) {
+      this.showToast(t("payment.copied"));
+    }
+  }
+
+  renderParticipantTerms(session, bowl, person) {
+    const terms = getParticipantTerms(session, bowl, person.id);
+    const currency = session.currency || DEFAULT_CURRENCY;
+    const detailsKey = `${bowl.id}:${person.id}`;
+    const badges = [
+      terms.weight !== 1 ? formatWeight(terms.weight) : "",
+      terms.fixed !== null && !terms.exempt ? t("terms.fixedBadge", { amount: formatCurrency(terms.fixed, currency) }) : "",
+      terms.exempt ? t("terms.exemptBadge") : "",
+    ].filter(Boolean);
+    return `
+      <details class="mt-2 small" data-details-key="${detailsKey}" ${this.openDetailsKeys.has(detailsKey) ? "open" : ""}>
+        <summary class="text-muted">${t("terms.title")}${badges.length ? `: ${badges.join(", ")}` : ""}</summary>
+        <div class="d-flex flex-wrap gap-2 align-items-center mt-2">
+          <select class="form-select form-select-sm w-auto" data-role="participant-weight" data-person-id="${person.id}" aria-label="${t("terms.weight")}">
+            ${WEIGHT_OPTIONS.map(
+              (weight) => `<option value="${weight}" ${terms.weight === weight ? "selected" : ""}>${formatWeight(weight)}</option>`,
+            ).join("")}
+          </select>
+          <input
+            type="number"
+            min="0"
+            max="${MAX_COST_VALUE}"
+            inputmode="numeric"
+            class="form-control form-control-sm w-auto"
+            placeholder="${t("terms.fixedPlaceholder")}"
+            value="${bowl.participation?.[person.id]?.fixed ?? ""}"
+            data-role="participant-fixed"
+            data-person-id="${person.id}"
+            data-cost-input
+            data-last-valid-value="${bowl.participation?.[person.id]?.fixed ?? ""}"
+          />
+          <label class="form-check mb-0">
+            <input class="form-check-input" type="checkbox" data-role="participant-exempt" data-person-id="${person.id}" ${terms.exempt ? "checked" : ""} />
+            <span class="form-check-label">${t("terms.exempt")}</span>
+          </label>
+        </div>
+      </details>
+    `;
+  }
+
+  renderSessionRules(session, personMap) {
+    const presentIds = Array.from(new Set(session.bowls.flatMap((bowl) => bowl.participantIds)))
+      .filter((id) => personMap.has(id));
+    if (!presentIds.length) return "";
+    const detailsKey = "session-rules";
+    return `
+      <details data-details-key="${detailsKey}" ${this.openDetailsKeys.has(detailsKey) ? "open" : ""}>
+        <summary class="text-muted small">${t("terms.sessionTitle")}</summary>
+        <p class="text-muted small mt-2 mb-2">${t("terms.sessionHint")}</p>
+        <ul class="list-group mb-0">
+          ${presentIds
+            .map((id) => {
+              const rule = session.participantRules?.[id] || {};
+              return `
+                <li class="list-group-item d-flex justify-content-between align-items-center gap-2">
+                  <span class="me-auto">${escapeHtml(personMap.get(id).name)}</span>
+                  <select class="form-select form-select-sm w-auto" data-role="rule-weight" data-person-id="${id}" aria-label="${t("terms.weight")}">
+                    ${WEIGHT_OPTIONS.map(
+                      (weight) => `<option value="${weight}" ${(rule.weight || 1) === weight ? "selected" : ""}>${formatWeight(weight)}</option>`,
+                    ).join("")}
+                  </select>
+                  <label class="form-check mb-0 small">
+                    <input class="form-check-input" type="checkbox" data-role="rule-exempt" data-person-id="${id}" ${rule.exempt ? "checked" : ""} />
+                    <span class="form-check-label">${t("terms.exempt")}</span>
+                  </label>
+                </li>
+              `;
+            })
+            .join("")}
+        </ul>
+      </details>
+    `;
+  }
+
+  getMyPersonId() {
+    return findPersonByTelegramId(this.state.people, this.auth?.user?.id)?.id || null;
+  }
+
+  // «Это я»: вошедший пользователь привязывает свой Telegram к человеку из списка
+  linkPersonToMe(personId) {
+    const person = this.state.people.find((p) => p.id === personId);
+    if (!person || !this.auth?.user) return;
+    const previous = findPersonByTelegramId(this.state.people, this.auth.user.id);
+    if (previous && previous.id !== person.id) {
+      delete previous.telegram;
+    }
+    person.telegram = toTelegramLink(this.auth.user);
+    this.persistAndRender();
+  }
+
+  unlinkTelegram(personId) {
+    const person = this.state.people.find((p) => p.id === personId);
+    if (!person?.telegram) return;
+    delete person.telegram;
+    this.persistAndRender();
+  }
+
+  updatePersonTelegramUsername(personId, value, input) {
+    const person = this.state.people.find((p) => p.id === personId);
+    if (!person) return;
+    const username = String(value || "").trim().replace(/^@/, "");
+    if (username && !/^[A-Za-z0-9_]{5,32}$/.test(username)) {
+      this.showValidationMessage(input, t("telegram.usernameInvalid"));
+      return;
+    }
+    if (!username && person.telegram?.id == null) {
+      delete person.telegram;
+    } else {
+      person.telegram = { id: null, photoUrl: null, ...person.telegram, username: username || null };
+    }
+    this.persistAndRender();
+  }
+
+  updatePersonPayment(personId, field, value, input) {
+    if (!this.state.people.some((p) => p.id === personId)) return;
+    if (!updatePaymentDetail(this.state, personId, field, value)) {
+      this.showValidationMessage(input, t(field === "card" ? "payment.cardInvalid" : "payment.phoneInvalid"));
+      return;
+    }
+    this.persistAndRender();
+  }
+
+  openPersonProfile(personId) {
+    this.openPersonId = personId;
+    this.renderPeoplePane();
+    this.updateTelegramControls();
+  }
+
+  closePersonProfile() {
+    this.openPersonId = null;
+    this.renderPeoplePane();
+    this.updateTelegramControls();
+  }
+
+  renderPersonProfile(container, person) {
+    const profile = computePersonProfile(this.getAllHistory(), person);
+    const spentTotals = profile.totals.filter((entry) => entry.sessions);
+    const openBalances = profile.totals.filter((entry) => entry.owes || entry.owed);
+    const formatTotals = (field) =>
+      spentTotals.length
+        ? spentTotals.map((entry) => formatCurrency(entry[field], entry.currency)).join("<br />")
+        : formatCurrency(0, this.state.settings.currency);
+    const formatBalance = (entry) => {
+      if (entry.balance > 0) return t("profile.awaiting", { amount: formatCurrency(entry.balance, entry.currency) });
+      if (entry.balance < 0) return t("profile.toTransfer", { amount: formatCurrency(-entry.balance, entry.currency) });
+      return t("profile.settled");
+    };
+
+    patchHtml(container, `
+      <div class="d-grid gap-3">
+        <div class="card-glass p-4">
+          <button class="btn btn-sm btn-outline-secondary mb-3" type="button" data-action="close-profile">← ${t("profile.back")}</button>
+          <div class="d-flex align-items-center gap-2 mb-1">
+            ${renderAvatar(person)}
+            <h2 class="h5 fw-semibold mb-0">${escapeHtml(person.name)}</h2>
+            ${person.id === this.getMyPersonId() ? `<span class="badge text-bg-primary">${t("people.itsYou")}</span>` : ''}
+          </div>
+          <div class="text-muted small">${profile.lastSeenAt ? escapeHtml(t("profile.lastSeen", { date: formatDateTime(profile.lastSeenAt) })) : t("profile.neverSeen")}</div>
+        </div>
+
+        <div class="card-glass p-4">
+          <div class="row g-3 text-center">
+            <div class="col-6">
+              <div class="text-muted small">${t("profile.sessions")}</div>
+              <div class="h5 mb-0">${profile.sessionCount}</div>
+            </div>
+            <div class="col-6">
+              <div class="text-muted small">${t("profile.bowls")}</div>
+              <div class="h5 mb-0">${profile.bowlCount}</div>
+            </div>
+            <div class="col-6">
+              <div class="text-muted small">${t("profile.spent")}</div>
+              <div class="h5 mb-0">${formatTotals("totalSpent")}</div>
+            </div>
+            <div class="col-6">
+              <div class="text-muted small">${t("profile.average")}</div>
+              <div class="h5 mb-0">${formatTotals("averagePerSession")}</div>
+            </div>
+          </div>
+        </div>
 
         <div class="card-glass p-4">
-          <div class="d-flex justify-content-between align-items-center mb-3">
-            <h3 class="h6 mb-0">Текущие итоги</h3>
-            <span class="badge text-bg-light">${formatCurrency(summary.total)}</span>
+          <h3 class="h6 mb-2">Telegram</h3>
+          <div class="input-group mb-2">
+            <span class="input-group-text">@</span>
+            <input
+              type="text"
+              class="form-control"
+              value="${escapeHtml(person.telegram?.username || "")}"
+              placeholder="username"
+              data-role="person-telegram-username"
+              data-person-id="${person.id}"
+            />
           </div>
-          ${summary.rows.length
-            ? `
+          <div class="d-flex flex-wrap gap-2">
+            ${this.auth?.user && person.id !== this.getMyPersonId()
+              ? `<button class="btn btn-sm btn-outline-primary" type="button" data-action="link-me" data-person-id="${person.id}">${t("telegram.linkMe")}</button>`
+              : ''}
+            ${person.telegram
+              ? `<button class="btn btn-sm btn-outline-secondary" type="button" data-action="unlink-telegram" data-person-id="${person.id}">${t("telegram.unlink")}</button>`
+              : ''}
+          </div>
+        </div>
+
+        <div class="card-glass p-4">
+          <h3 class="h6 mb-2">${t("payment.title")}</h3>
+          <div class="d-grid gap-2">
+            <div class="input-group">
+              <span class="input-group-text">${t("payment.phone")}</span>
+              <input type="tel" class="form-control" value="${escapeHtml(person.payment?.phone || "")}" placeholder="${t("payment.phonePlaceholder")}" data-role="person-payment" data-field="phone" data-person-id="${person.id}" />
+            </div>
+            <div class="input-group">
+              <span class="input-group-text">${t("payment.card")}</span>
+              <input type="text" inputmode="numeric" class="form-control" value="${escapeHtml(person.payment?.card ? formatCardNumber(person.payment.card) : "")}" placeholder="${t("payment.cardPlaceholder")}" data-role="person-payment" data-field="card" data-person-id="${person.id}" />
+            </div>
+            <div class="input-group">
+              <span class="input-group-text">${t("payment.bank")}</span>
+              <input type="text" class="form-control" maxlength="${MAX_BANK_NAME_LENGTH}" value="${escapeHtml(person.payment?.bank || "")}" placeholder="${t("payment.bankPlaceholder")}" data-role="person-payment" data-field="bank" data-person-id="${person.id}" />
+            </div>
+          </div>
+          <div class="form-text">${t("payment.hint")}</div>
+        </div>
+
+        <div class="card-glass p-4">
+          <h3 class="h6 mb-2">${t("profile.unpaid")}</h3>
+          ${openBalances.length
+            ? openBalances
+              .map(
+                (entry) => `
+                  <div class="fw-semibold ${entry.balance < 0 ? "text-danger" : ""}">${formatBalance(entry)}</div>
+                  ${entry.owes && entry.owed
+                    ? `<div class="text-muted small">${t("profile.owesOwed", { owes: formatCurrency(entry.owes, entry.currency), owed: formatCurrency(entry.owed, entry.currency) })}</div>`
+                    : ''}
+                `,
+              )
+              .join("")
+            : `<div class="fw-semibold">${t("profile.settled")}</div>`}
+        </div>
+
+        ${profile.visits.length
+          ? `
+            <div class="card-glass p-4">
+              <h3 class="h6 mb-3">${t("profile.history")}</h3>
               <div class="list-group list-group-flush">
-                ${summary.rows
+                ${profile.visits
                   .map(
-                    (row) => `
+                    (visit) => `
                       <div class="list-group-item d-flex justify-content-between align-items-center">
                         <div>
-                          <div class="fw-semibold">${escapeHtml(row.name)}</div>
-                          <div class="text-muted small">Чаш: ${row.bowlsCount}</div>
+                          <div class="fw-semibold">${escapeHtml(visit.name)}</div>
+                          <div class="text-muted small">${escapeHtml(formatDateTime(visit.date))} · ${t("summary.bowlsCount", { count: visit.bowls })}</div>
                         </div>
-                        <span class="badge text-bg-primary">${formatCurrency(row.total)}</span>
+                        <span class="badge text-bg-primary">${formatCurrency(visit.total, visit.currency)}</span>
                       </div>
                     `,
                   )
                   .join("")}
               </div>
-            `
-            : '<p class="text-muted small mb-0">Добавьте участников в чаши, чтобы увидеть расчёт.</p>'}
-        </div>
+            </div>
+          `
+          : ''}
       </div>
-    `;
-
-    container.querySelector('[data-role="session-name"]').addEventListener('input', (event) => {
-      this.updateSessionName(event.target.value);
-    });
-
-    container.querySelector('[data-action="end-session"]').addEventListener('click', () => this.endSession());
-    container.querySelector('[data-action="add-bowl"]').addEventListener('click', () => this.addBowl());
-
-    container.querySelectorAll('[data-action="select-bowl"]').forEach((button) => {
-      button.addEventListener('click', () => this.selectBowl(button.dataset.bowlId));
-    });
-
-    if (activeBowl) {
-      container.querySelector('[data-role="bowl-name"]').addEventListener('input', (event) => {
-        this.updateBowlName(activeBowl.id, event.target.value);
-      });
-      this.setupCostInput(
-        container.querySelector('[data-role="bowl-cost"]'),
-        activeBowl.cost,
-        (input) => this.updateBowlCost(activeBowl.id, input.value, input)
-      );
-
-      const addParticipantInput = container.querySelector('[data-role="participant-search"]');
-      const addParticipant = () => {
-        this.addParticipantByName(addParticipantInput.value);
-        addParticipantInput.value = '';
-        addParticipantInput.focus();
-      };
-      container.querySelector('[data-action="add-participant"]').addEventListener('click', addParticipant);
-      addParticipantInput.addEventListener('keydown', (event) => {
-        if (event.key === 'Enter') {
-          event.preventDefault();
-          addParticipant();
-        }
-      });
-
-      container.querySelectorAll('[data-action="remove-participant"]').forEach((button) => {
-        button.addEventListener('click', () => this.removeParticipant(button.dataset.personId));
-      });
-
-      container.querySelectorAll('[data-action="quick-add"]').forEach((button) => {
-        button.addEventListener('click', () => this.quickAddParticipant(button.dataset.personId));
-      });
-    }
+    `);
   }
 
   renderPeoplePane() {
     const container = this.elements.peoplePane;
+    const openPerson = this.state.people.find((person) => person.id === this.openPersonId);
+    if (openPerson) {
+      this.renderPersonProfile(container, openPerson);
+      return;
+    }
+    this.openPersonId = null;
+    const myPersonId = this.getMyPersonId();
     if (!this.state.people.length) {
-      container.innerHTML = `
+      patchHtml(container, `
         <div class="card-glass p-4">
-          <h2 class="h6 fw-semibold mb-3">Сохранённые участники</h2>
-          <p class="text-muted small">Пока пусто. Добавьте участника в сессии или вручную ниже.</p>
+          <h2 class="h6 fw-semibold mb-3">${t("people.title")}</h2>
+          <p class="text-muted small">${t("people.empty")}</p>
           <div class="input-group">
-            <input type="text" class="form-control" placeholder="Имя" data-role="new-person-name" />
-            <button class="btn btn-primary" data-action="create-person">Добавить</button>
+            <input type="text" class="form-control" placeholder="${t("people.namePlaceholder")}" data-role="new-person-name" />
+            <button class="btn btn-primary" data-action="create-person">${t("common.add")}</button>
           </div>
         </div>
-      `;
-      const addBtn = container.querySelector('[data-action="create-person"]');
-      const input = container.querySelector('[data-role="new-person-name"]');
-      const create = () => {
-        this.addPersonFromPeopleTab(input.value);
-        input.value = '';
-        input.focus();
-      };
-      addBtn.addEventListener('click', create);
-      input.addEventListener('keydown', (event) => {
-        if (event.key === 'Enter') {
-          event.preventDefault();
-          create();
-        }
-      });
+      `);
       return;
     }
 
-    container.innerHTML = `
+    patchHtml(container, `
       <div class="d-grid gap-3">
         <div class="card-glass p-4">
-          <h2 class="h6 fw-semibold mb-3">Сохранённые участники</h2>
+          <h2 class="h6 fw-semibold mb-3">${t("people.title")}</h2>
           <div class="input-group mb-3">
-            <input type="text" class="form-control" placeholder="Имя" data-role="new-person-name" />
-            <button class="btn btn-primary" data-action="create-person">Добавить</button>
+            <input type="text" class="form-control" placeholder="${t("people.namePlaceholder")}" data-role="new-person-name" />
+            <button class="btn btn-primary" data-action="create-person">${t("common.add")}</button>
           </div>
           <div class="list-group list-group-flush">
             ${this.state.people
               .map(
                 (person) => `
-                  <div class="list-group-item">
+                  <div class="list-group-item" data-key="${person.id}">
                     <div class="d-flex flex-column gap-2">
                       <input type="text" class="form-control form-control-sm" value="${escapeHtml(person.name)}" data-role="person-name" data-person-id="${person.id}" />
-                      <div class="d-flex justify-content-end">
-                        <button class="btn btn-sm btn-outline-danger" data-action="delete-person" data-person-id="${person.id}">Удалить</button>
+                      <input
+                        type="text"
+                        class="form-control form-control-sm"
+                        value="${escapeHtml((person.aliases || []).join(", "))}"
+                        placeholder="${t("people.aliasesPlaceholder")}"
+                        data-role="person-aliases"
+                        data-person-id="${person.id}"
+                      />
+                      <div class="d-flex align-items-center gap-2">
+                        ${renderAvatar(person)}
+                        <span class="text-muted small me-auto">${[
+                          person.telegram?.username ? `@${escapeHtml(person.telegram.username)}` : '',
+                          person.id === myPersonId ? t("people.itsYou") : '',
+                        ].filter(Boolean).join(' · ')}</span>
+                        <button class="btn btn-sm btn-outline-primary" data-action="open-profile" data-person-id="${person.id}">${t("people.profile")}</button>
+                        <button class="btn btn-sm btn-outline-danger" data-action="delete-person" data-person-id="${person.id}">${t("common.delete")}</button>
                       </div>
                     </div>
                   </div>
@@ -777,124 +3568,812 @@ class HookahSpliterApp {
               .join("")}
           </div>
         </div>
+
+        <div class="card-glass p-4">
+          <h2 class="h6 fw-semibold mb-1">${t("groups.title")}</h2>
+          <p class="text-muted small mb-3">${t("groups.hint")}</p>
+          ${this.state.groups
+            .map(
+              (group) => `
+                <div class="border rounded-4 p-3 mb-3" data-group-id="${group.id}" data-key="${group.id}">
+                  <div class="d-flex gap-2 mb-2">
+                    <input type="text" class="form-control" value="${escapeHtml(group.name)}" data-role="group-name" aria-label="${t("groups.name")}" />
+                    <button class="btn btn-outline-danger" type="button" data-action="delete-group">${t("common.delete")}</button>
+                  </div>
+                  <div class="d-flex flex-wrap gap-2">
+                    ${this.state.people
+                      .map(
+                        (person) => `
+                          <button
+                            class="tag-button ${group.memberIds.includes(person.id) ? "active" : ""}"
+                            type="button"
+                            data-action="toggle-group-member"
+                            data-person-id="${person.id}"
+                            aria-pressed="${group.memberIds.includes(person.id)}"
+                          >${escapeHtml(person.name)}</button>
+                        `,
+                      )
+                      .join("")}
+                  </div>
+                </div>
+              `,
+            )
+            .join("")}
+          <div class="input-group">
+            <input type="text" class="form-control" placeholder="${t("groups.name")}" data-role="new-group-name" />
+            <button class="btn btn-primary" type="button" data-action="create-group">${t("common.add")}</button>
+          </div>
+        </div>
+
+        ${this.state.people.length > 1
+          ? `
+            <div class="card-glass p-4">
+              <h2 class="h6 fw-semibold mb-1">${t("people.mergeTitle")}</h2>
+              <p class="text-muted small mb-3">${t("people.mergeHint")}</p>
+              <div class="d-grid gap-2">
+                <select class="form-select" data-role="merge-source" aria-label="${t("people.mergeSource")}">
+                  ${this.state.people.map((person) => `<option value="${person.id}">${escapeHtml(person.name)}</option>`).join("")}
+                </select>
+                <select class="form-select" data-role="merge-target" aria-label="${t("people.mergeTarget")}">
+                  ${this.state.people.map((person, index) => `<option value="${person.id}" ${index === 1 ? "selected" : ""}>${escapeHtml(person.name)}</option>`).join("")}
+                </select>
+                <button class="btn btn-outline-primary" type="button" data-action="merge-people">${t("people.merge")}</button>
+              </div>
+            </div>
+          `
+          : ''}
       </div>
-    `;
+    `);
+  }
 
-    const addBtn = container.querySelector('[data-action="create-person"]');
-    const input = container.querySelector('[data-role="new-person-name"]');
-    const create = () => {
+  getPeoplePaneHandlers() {
+    const groupIdOf = (element) => element.closest('[data-group-id]').dataset.groupId;
+    const createPerson = () => {
+      const input = this.elements.peoplePane.querySelector('[data-role="new-person-name"]');
       this.addPersonFromPeopleTab(input.value);
       input.value = '';
       input.focus();
     };
-    addBtn.addEventListener('click', create);
-    input.addEventListener('keydown', (event) => {
-      if (event.key === 'Enter') {
-        event.preventDefault();
-        create();
-      }
-    });
+    return {
+      click: {
+        "create-person": createPerson,
+        "delete-person": (button) => this.deletePerson(button.dataset.personId),
+        "open-profile": (button) => this.openPersonProfile(button.dataset.personId),
+        "create-group": () => {
+          const input = this.elements.peoplePane.querySelector('[data-role="new-group-name"]');
+          this.addGroup(input.value);
+        },
+        "delete-group": (button) => this.deleteGroup(groupIdOf(button)),
+        "toggle-group-member": (button) => this.toggleGroupMember(groupIdOf(button), button.dataset.personId),
+        "merge-people": () => {
+          const pane = this.elements.peoplePane;
+          this.mergePeople(
+            pane.querySelector('[data-role="merge-source"]').value,
+            pane.querySelector('[data-role="merge-target"]').value,
+          );
+        },
+        "close-profile": () => this.closePersonProfile(),
+        "link-me": (button) => this.linkPersonToMe(button.dataset.personId),
+        "unlink-telegram": (button) => this.unlinkTelegram(button.dataset.personId),
+      },
+      change: {
+        "person-name": (input) => this.updatePersonName(input.dataset.personId, input.value, input),
+        "person-aliases": (input) => this.updatePersonAliases(input.dataset.personId, input.value, input),
+        "group-name": (input) => this.updateGroupName(groupIdOf(input), input.value),
+        "person-telegram-username": (input) => this.updatePersonTelegramUsername(input.dataset.personId, input.value, input),
+        "person-payment": (input) => this.updatePersonPayment(input.dataset.personId, input.dataset.field, input.value, input),
+      },
+      keydown: {
+        "new-person-name": this.onEnter((value) => this.addPersonFromPeopleTab(value)),
+        "new-group-name": this.onEnter((value) => this.addGroup(value)),
+      },
+    };
+  }
 
-    container.querySelectorAll('[data-role="person-name"]').forEach((field) => {
-      field.addEventListener('change', (event) => {
-        this.updatePersonName(event.target.dataset.personId, event.target.value);
-      });
-    });
+  renderRoundingPreview() {
+    const session = this.state.currentSession;
+    if (!session || !session.isActive) {
+      return `<p class="text-muted small mb-0">${t("rounding.previewNoSession")}</p>`;
+    }
+    const summary = this.computeSummary(session);
+    const currency = session.currency || DEFAULT_CURRENCY;
+    if (!summary.rows.length) {
+      return `<p class="text-muted small mb-0">${t("rounding.previewEmpty")}</p>`;
+    }
+    return `
+      <div class="list-group list-group-flush">
+        ${summary.rows
+          .map(
+            (row) => `
+              <div class="list-group-item d-flex justify-content-between align-items-center">
+                <span>${escapeHtml(row.name)}</span>
+                <span>
+                  ${row.exactTotal !== row.total ? `<span class="text-muted small me-2">${formatCurrency(row.exactTotal, currency)}</span>` : ""}
+                  <span class="badge text-bg-primary">${formatCurrency(row.total, currency)}</span>
+                </span>
+              </div>
+            `,
+          )
+          .join("")}
+      </div>
+      ${summary.roundingSurplus
+        ? `<p class="text-muted small mt-2 mb-0">${t(summary.surplusMode === "tip" ? "rounding.previewTip" : "rounding.previewPayer", { amount: formatCurrency(summary.roundingSurplus, currency) })}</p>`
+        : ""}
+    `;
+  }
 
-    container.querySelectorAll('[data-action="delete-person"]').forEach((button) => {
-      button.addEventListener('click', () => this.deletePerson(button.dataset.personId));
-    });
+  renderCurrencyOptions(selected) {
+    return CURRENCIES.map(
+      (currency) => `<option value="${currency}" ${currency === selected ? "selected" : ""}>${escapeHtml(`${currency} — ${getCurrencyName(currency)}`)}</option>`,
+    ).join("");
   }
 
   renderSettingsPane() {
     const container = this.elements.settingsPane;
-    container.innerHTML = `
-      <div class="card-glass p-4">
-        <h2 class="h6 fw-semibold mb-3">Общие настройки</h2>
-        <div class="mb-3">
-          <label class="form-label">Стоимость чаши по умолчанию (₽)</label>
-          <input
-            type="number"
-            min="1"
-            max="${MAX_COST_VALUE}"
-            inputmode="numeric"
-            class="form-control"
-            value="${this.state.settings.defaultBowlCost ?? ""}"
-            data-role="default-cost"
-          />
+    const rounding = getRoundingSettings(this.state.settings);
+    const { currency, reminders } = this.state.settings;
+    const archivedCount = this.getArchivedCount();
+    patchHtml(container, `
+      <div class="d-grid gap-3">
+        <div class="card-glass p-4">
+          <h2 class="h6 fw-semibold mb-3">${t("settings.languageTitle")}</h2>
+          <div class="mb-3">
+            <label for="settingsLocale" class="form-label">${t("settings.language")}</label>
+            <select id="settingsLocale" class="form-select" data-role="locale">
+              ${Object.entries(LOCALES)
+                .map(([value, { label }]) => `<option value="${value}" ${getLocale() === value ? "selected" : ""}>${label}</option>`)
+                .join("")}
+            </select>
+          </div>
+          <div class="mb-3">
+            <label for="settingsCurrency" class="form-label">${t("settings.currency")}</label>
+            <select id="settingsCurrency" class="form-select" data-role="default-currency">
+              ${this.renderCurrencyOptions(currency)}
+            </select>
+          </div>
+          <p class="text-muted small mb-0">${t("settings.currencyHint")}</p>
+        </div>
+
+        <div class="card-glass p-4">
+          <h2 class="h6 fw-semibold mb-3">${t("settings.generalTitle")}</h2>
+          <div class="mb-3">
+            <label class="form-label">${t("settings.defaultCost", { symbol: getCurrencySymbol(currency) })}</label>
+            <input
+              type="number"
+              min="1"
+              max="${MAX_COST_VALUE}"
+              inputmode="numeric"
+              class="form-control"
+              value="${this.state.settings.defaultBowlCost ?? ""}"
+              data-role="default-cost"
+              data-cost-input
+              data-last-valid-value="${this.state.settings.defaultBowlCost ?? ""}"
+            />
+          </div>
+          <p class="text-muted small mb-0">${t("settings.defaultCostHint")}</p>
+        </div>
+
+        <div class="card-glass p-4">
+          <h2 class="h6 fw-semibold mb-3">${t("reminders.title")}</h2>
+          <div class="row g-2 mb-2">
+            <div class="col-6">
+              <label for="remindersCoals" class="form-label small">${t("reminders.coalsLabel")}</label>
+              <input type="number" id="remindersCoals" min="0" max="${MAX_REMINDER_MINUTES}" inputmode="numeric" class="form-control" value="${reminders.coalsMinutes}" data-role="reminder" data-field="coalsMinutes" data-last-valid-value="${reminders.coalsMinutes}" />
+            </div>
+            <div class="col-6">
+              <label for="remindersLong" class="form-label small">${t("reminders.longLabel")}</label>
+              <input type="number" id="remindersLong" min="0" max="${MAX_REMINDER_MINUTES}" inputmode="numeric" class="form-control" value="${reminders.longMinutes}" data-role="reminder" data-field="longMinutes" data-last-valid-value="${reminders.longMinutes}" />
+            </div>
+          </div>
+          <p class="text-muted small mb-0">${t("reminders.hint")}</p>
+        </div>
+
+        <div class="card-glass p-4">
+          <h2 class="h6 fw-semibold mb-3">${t("venues.title")}</h2>
+          ${this.state.venues
+            .map(
+              (venue) => `
+                <div class="border rounded-4 p-3 mb-3" data-venue-id="${venue.id}" data-key="${venue.id}">
+                  <div class="d-flex gap-2 mb-2">
+                    <input type="text" class="form-control" value="${escapeHtml(venue.name)}" data-role="venue-name" aria-label="${t("venues.name")}" />
+                    <button class="btn btn-outline-danger" type="button" data-action="delete-venue">${t("common.delete")}</button>
+                  </div>
+                  ${venue.menu
+                    .map(
+                      (item) => `
+                        <div class="d-flex gap-2 mb-2" data-menu-item-id="${item.id}" data-key="${item.id}">
+                          <input type="text" class="form-control form-control-sm" value="${escapeHtml(item.name)}" data-role="menu-item-name" aria-label="${t("bowl.name")}" />
+                          <input type="number" min="1" max="${MAX_COST_VALUE}" inputmode="numeric" class="form-control form-control-sm w-auto" value="${item.cost}" data-role="menu-item-cost" data-cost-input data-last-valid-value="${item.cost}" aria-label="${t("venues.price")}" />
+                          <button class="btn btn-sm btn-outline-danger" type="button" data-action="remove-menu-item" aria-label="${t("common.remove")}">✕</button>
+                        </div>
+                      `,
+                    )
+                    .join("")}
+                  <div class="d-flex gap-2">
+                    <input type="text" class="form-control form-control-sm" placeholder="${t("venues.menuItemPlaceholder")}" data-role="new-menu-item-name" />
+                    <input type="number" min="1" max="${MAX_COST_VALUE}" inputmode="numeric" class="form-control form-control-sm w-auto" placeholder="${t("venues.price")}" data-role="new-menu-item-cost" data-cost-input />
+                    <button class="btn btn-sm btn-outline-primary" type="button" data-action="add-menu-item">${t("common.add")}</button>
+                  </div>
+                </div>
+              `,
+            )
+            .join("")}
+          <div class="input-group">
+            <input type="text" class="form-control" placeholder="${t("venues.name")}" data-role="new-venue-name" />
+            <button class="btn btn-primary" type="button" data-action="add-venue">${t("common.add")}</button>
+          </div>
+          <p class="text-muted small mt-2 mb-0">${t("venues.hint")}</p>
+        </div>
+
+        <div class="card-glass p-4">
+          <h2 class="h6 fw-semibold mb-3">${t("rounding.title")}</h2>
+          <div class="mb-3">
+            <label class="form-label">${t("rounding.stepLabel")}</label>
+            <select class="form-select" data-role="rounding-step">
+              ${ROUNDING_STEPS.map(
+                (step) => `<option value="${step}" ${rounding.step === step ? "selected" : ""}>${formatRoundingStep(step, currency)}</option>`,
+              ).join("")}
+            </select>
+          </div>
+          <div class="mb-3">
+            <label class="form-label">${t("rounding.surplusLabel")}</label>
+            <select class="form-select" data-role="rounding-surplus" ${rounding.step === 1 ? "disabled" : ""}>
+              ${Object.entries(SURPLUS_MODES)
+                .map(([value, label]) => `<option value="${value}" ${rounding.surplus === value ? "selected" : ""}>${t(label)}</option>`)
+                .join("")}
+            </select>
+          </div>
+          <div class="mb-3">
+            <label class="form-label">${t("rounding.remainderLabel")}</label>
+            <select class="form-select" data-role="rounding-remainder">
+              ${Object.entries(REMAINDER_MODES)
+                .map(([value, label]) => `<option value="${value}" ${rounding.remainder === value ? "selected" : ""}>${t(label)}</option>`)
+                .join("")}
+            </select>
+          </div>
+          <h3 class="section-title mb-2">${t("rounding.preview")}</h3>
+          ${this.renderRoundingPreview()}
+        </div>
+
+        <div class="card-glass p-4">
+          <h2 class="h6 fw-semibold mb-3">${t("archive.title")}</h2>
+          <p class="text-muted small">${t("archive.hint", { sessions: tn("stats.sessionsCount", this.state.savedSessions.length), archived: tn("stats.sessionsCount", archivedCount) })}</p>
+          <div class="input-group mb-2">
+            <select class="form-select" data-role="archive-age" aria-label="${t("archive.olderThan")}">
+              ${ARCHIVE_AGE_OPTIONS.map((months) => `<option value="${months}">${t("archive.olderThanMonths", { months })}</option>`).join("")}
+            </select>
+            <button class="btn btn-outline-primary" type="button" data-action="archive-sessions">${t("archive.action")}</button>
+          </div>
+          ${archivedCount
+            ? `<button class="btn btn-sm btn-outline-secondary" type="button" data-action="unarchive-all">${t("archive.restoreAll")}</button>`
+            : ''}
+        </div>
+
+        <div class="card-glass p-4">
+          <h2 class="h6 fw-semibold mb-3">${t("backup.title")}</h2>
+          <p class="text-muted small">${t("backup.hint", { version: this.state.schemaVersion })}</p>
+          <div class="d-grid gap-2">
+            <button class="btn btn-outline-primary" type="button" data-action="export-state">${t("backup.export")}</button>
+            <label class="btn btn-outline-secondary mb-0">
+              ${t("backup.import")}
+              <input type="file" accept="application/json,.json" class="d-none" data-role="import-state" />
+            </label>
+          </div>
+          ${this.state.quarantine.length
+            ? `
+              <div class="alert alert-warning small mt-3 mb-0">
+                <div class="mb-2">${t("backup.quarantine", { count: this.state.quarantine.length })}</div>
+                <div class="d-flex gap-2">
+                  <button class="btn btn-sm btn-outline-secondary" type="button" data-action="export-quarantine">${t("backup.quarantineExport")}</button>
+                  <button class="btn btn-sm btn-outline-danger" type="button" data-action="clear-quarantine">${t("backup.quarantineClear")}</button>
+                </div>
+              </div>
+            `
+            : ''}
         </div>
-        <p class="text-muted small mb-0">Значение используется при создании новой чаши. Суммы всегда округляются до целого числа.</p>
       </div>
-    `;
+    `);
+  }
 
-    this.setupCostInput(
-      container.querySelector('[data-role="default-cost"]'),
-      this.state.settings.defaultBowlCost,
-      (input) => this.updateDefaultBowlCost(input.value, input)
-    );
+  getSettingsPaneHandlers() {
+    const venueIdOf = (element) => element.closest('[data-venue-id]').dataset.venueId;
+    const menuItemIdOf = (element) => element.closest('[data-menu-item-id]').dataset.menuItemId;
+    return {
+      click: {
+        "export-state": () => this.exportState(),
+        "archive-sessions": () => {
+          this.archiveOldSessions(Number(this.elements.settingsPane.querySelector('[data-role="archive-age"]').value));
+        },
+        "unarchive-all": () => this.unarchiveAll(),
+        "export-quarantine": () => this.exportQuarantine(),
+        "clear-quarantine": () => this.clearQuarantine(),
+        "add-venue": () => this.addVenue(this.elements.settingsPane.querySelector('[data-role="new-venue-name"]').value),
+        "delete-venue": (button) => this.deleteVenue(venueIdOf(button)),
+        "remove-menu-item": (button) => this.removeMenuItem(venueIdOf(button), menuItemIdOf(button)),
+        "add-menu-item": (button) => {
+          const card = button.closest('[data-venue-id]');
+          const costInput = card.querySelector('[data-role="new-menu-item-cost"]');
+          this.addMenuItem(venueIdOf(button), card.querySelector('[data-role="new-menu-item-name"]').value, costInput.value, costInput);
+        },
+      },
+      change: {
+        "locale": (select) => this.updateLocale(select.value),
+        "default-currency": (select) => this.updateDefaultCurrency(select.value),
+        "reminder": (input) => this.updateReminderSettings(input.dataset.field, input.value, input),
+        "import-state": (input) => {
+          this.importStateFromFile(input.files[0], input).finally(() => {
+            input.value = '';
+          });
+        },
+        "rounding-step": (select) => this.updateRoundingSettings({ step: select.value }),
+        "rounding-surplus": (select) => this.updateRoundingSettings({ surplus: select.value }),
+        "rounding-remainder": (select) => this.updateRoundingSettings({ remainder: select.value }),
+        "default-cost": (input) => this.updateDefaultBowlCost(input.value, input),
+        "venue-name": (input) => this.updateVenueName(venueIdOf(input), input.value),
+        "menu-item-name": (input) => {
+          const name = input.value.trim();
+          if (name) this.updateMenuItem(venueIdOf(input), menuItemIdOf(input), { name });
+        },
+        "menu-item-cost": (input) => {
+          const cost = this.validateCostValue(input.value, input);
+          return cost !== null && this.updateMenuItem(venueIdOf(input), menuItemIdOf(input), { cost });
+        },
+      },
+      keydown: {
+        "new-venue-name": this.onEnter((value) => this.addVenue(value)),
+      },
+    };
+  }
+
+  updateStatsRange(patch) {
+    this.statsRange = { ...this.statsRange, ...patch };
+    this.renderStatsPane();
+  }
+
+  // Горизонтальные полосы на чистом CSS: ширина — доля от максимального значения
+  renderStatsBars(entries) {
+    const max = Math.max(...entries.map((entry) => entry.value), 0);
+    return entries
+      .map(
+        (entry) => `
+          <div class="mb-2">
+            <div class="d-flex justify-content-between small">
+              <span>${escapeHtml(entry.label)}</span>
+              <span class="fw-semibold">${escapeHtml(entry.valueLabel)}</span>
+            </div>
+            <div class="stats-bar"><div class="stats-bar-fill" style="width: ${max ? Math.max(2, Math.round((entry.value / max) * 100)) : 0}%"></div></div>
+          </div>
+        `,
+      )
+      .join("");
+  }
+
+  renderStatsPane() {
+    const container = this.elements.statsPane;
+    const history = this.getAllHistory();
+    if (!container) return;
+    if (!history.length) {
+      patchHtml(container, `
+        <div class="card-glass p-4 text-center text-muted">
+          ${t("stats.empty")}
+        </div>
+      `);
+      return;
+    }
+
+    // Статистика всегда в одной валюте; выбор показываем, только если их в истории несколько
+    const currencies = Array.from(new Set(history.map((session) => session.currency || DEFAULT_CURRENCY)));
+    const currency = [this.statsRange.currency, this.state.settings.currency].find((code) => currencies.includes(code)) || currencies[0];
+    const stats = computeHistoryStats(history, { ...this.statsRange, currency });
+
+    patchHtml(container, `
+      <div class="d-grid gap-3">
+        <div class="card-glass p-4">
+          <div class="row g-2 align-items-end">
+            <div class="col-6">
+              <label for="statsFrom" class="form-label small">${t("stats.from")}</label>
+              <input type="date" id="statsFrom" class="form-control" value="${escapeHtml(this.statsRange.from)}" data-role="stats-from" />
+            </div>
+            <div class="col-6">
+              <label for="statsTo" class="form-label small">${t("stats.to")}</label>
+              <input type="date" id="statsTo" class="form-control" value="${escapeHtml(this.statsRange.to)}" data-role="stats-to" />
+            </div>
+            ${currencies.length > 1
+              ? `
+                <div class="col-12">
+                  <label for="statsCurrency" class="form-label small">${t("currency.label")}</label>
+                  <select id="statsCurrency" class="form-select" data-role="stats-currency">
+                    ${currencies.map((code) => `<option value="${code}" ${code === currency ? "selected" : ""}>${escapeHtml(`${code} — ${getCurrencyName(code)}`)}</option>`).join("")}
+                  </select>
+                </div>
+              `
+              : ''}
+          </div>
+          ${this.statsRange.from || this.statsRange.to
+            ? `<button class="btn btn-sm btn-outline-secondary mt-2" type="button" data-action="reset-stats-range">${t("stats.allTime")}</button>`
+            : ''}
+        </div>
+
+        ${stats.sessionCount
+          ? `
+            <div class="card-glass p-4">
+              <div class="row g-3 text-center">
+                <div class="col-6">
+                  <div class="text-muted small">${t("stats.spent")}</div>
+                  <div class="h5 mb-0">${formatCurrency(stats.total, currency)}</div>
+                </div>
+                <div class="col-6">
+                  <div class="text-muted small">${t("stats.sessionsBowls")}</div>
+                  <div class="h5 mb-0">${stats.sessionCount} / ${stats.bowlCount}</div>
+                </div>
+                <div class="col-6">
+                  <div class="text-muted small">${t("stats.averageBowl")}</div>
+                  <div class="h5 mb-0">${formatCurrency(stats.averagePerBowl, currency)}</div>
+                </div>
+                <div class="col-6">
+                  <div class="text-muted small">${t("stats.averageSession")}</div>
+                  <div class="h5 mb-0">${formatCurrency(stats.averagePerSession, currency)}</div>
+                </div>
+                ${stats.longestBowl
+                  ? `
+                    <div class="col-6">
+                      <div class="text-muted small">${t("stats.averageDuration")}</div>
+                      <div class="h5 mb-0">${formatDuration(stats.averageBowlDuration)}</div>
+                    </div>
+                    <div class="col-6">
+                      <div class="text-muted small">${t("stats.longestBowl")}</div>
+                      <div class="h5 mb-0">${formatDuration(stats.longestBowl.duration)}</div>
+                      <div class="text-muted small text-truncate">${escapeHtml(stats.longestBowl.name)} · ${formatDateTime(stats.longestBowl.startedAt)}</div>
+                    </div>
+                  `
+                  : ''}
+              </div>
+            </div>
+
+            <div class="card-glass p-4">
+              <h3 class="h6 mb-3">${t("stats.byMonth")}</h3>
+              ${this.renderStatsBars(
+                stats.months.map((month) => ({
+                  label: formatMonthKey(month.key),
+                  value: month.total,
+                  valueLabel: formatCurrency(month.total, currency),
+                })),
+              )}
+            </div>
+
+            <div class="card-glass p-4">
+              <h3 class="h6 mb-3">${t("stats.topSpenders")}</h3>
+              ${this.renderStatsBars(
+                stats.topSpenders.map((person) => ({
+                  label: person.name,
+                  value: person.spent,
+                  valueLabel: formatCurrency(person.spent, currency),
+                })),
+              )}
+            </div>
+
+            <div class="card-glass p-4">
+              <h3 class="h6 mb-3">${t("stats.topAttendees")}</h3>
+              ${this.renderStatsBars(
+                stats.topAttendees.map((person) => ({
+                  label: person.name,
+                  value: person.sessions,
+                  valueLabel: tn("stats.sessionsCount", person.sessions),
+                })),
+              )}
+            </div>
+
+            <div class="card-glass p-4">
+              <h3 class="h6 mb-3">${t("stats.topPairs")}</h3>
+              ${stats.topPairs.length
+                ? this.renderStatsBars(
+                  stats.topPairs.map((pair) => ({
+                    label: t("stats.pair", { first: pair.names[0], second: pair.names[1] }),
+                    value: pair.bowls,
+                    valueLabel: tn("stats.bowlsCount", pair.bowls),
+                  })),
+                )
+                : `<p class="text-muted small mb-0">${t("stats.noPairs")}</p>`}
+            </div>
+          `
+          : `
+            <div class="card-glass p-4 text-center text-muted">
+              ${t("stats.emptyRange")}
+            </div>
+          `}
+      </div>
+    `);
+  }
+
+  getStatsPaneHandlers() {
+    return {
+      click: {
+        "reset-stats-range": () => this.updateStatsRange({ from: "", to: "" }),
+      },
+      change: {
+        "stats-from": (input) => this.updateStatsRange({ from: input.value }),
+        "stats-to": (input) => this.updateStatsRange({ to: input.value }),
+        "stats-currency": (select) => this.updateStatsRange({ currency: select.value }),
+      },
+    };
   }
 
   renderHistoryPane() {
     const container = this.elements.historyPane;
-    if (!this.state.savedSessions.length) {
-      container.innerHTML = `
+    const archivedCount = this.getArchivedCount();
+    if (!this.state.savedSessions.length && !archivedCount) {
+      patchHtml(container, `
         <div class="card-glass p-4 text-center text-muted">
-          Сохранённых сессий пока нет.
+          ${t("history.empty")}
         </div>
-      `;
+      `);
       return;
     }
 
-    container.innerHTML = this.state.savedSessions
+    // В фильтре — и удалённые заведения, если по ним остались записи в истории
+    const venueOptions = Array.from(
+      new Map(
+        this.getAllHistory()
+          .filter((session) => session.venueId)
+          .map((session) => [session.venueId, { id: session.venueId, name: session.venueName || t("venues.unnamed") }]),
+      ).values(),
+    );
+    const { query, from, to, min, max } = this.historyFilters;
+    const visibleSessions = this.getVisibleHistory();
+    const visibleIds = new Set(visibleSessions.map((session) => session.id));
+    this.selectedHistoryIds.forEach((id) => {
+      if (!visibleIds.has(id)) this.selectedHistoryIds.delete(id);
+    });
+    const isFiltered = Boolean(this.historyVenueFilter) || Object.values(this.historyFilters).some(Boolean);
+    const exportLabel = this.selectedHistoryIds.size
+      ? t("history.selected", { count: this.selectedHistoryIds.size })
+      : isFiltered ? t("history.exportFiltered", { count: visibleSessions.length }) : t("history.exportAll");
+    patchHtml(container, `
+      <div class="card-glass p-3 mb-3 d-grid gap-2">
+        <input
+          type="search"
+          class="form-control"
+          placeholder="${t("history.searchPlaceholder")}"
+          value="${escapeHtml(query)}"
+          data-role="history-filter"
+          data-field="query"
+        />
+        <div class="row g-2">
+          <div class="col-6">
+            <label class="form-label small mb-1" for="historyFrom">${t("stats.from")}</label>
+            <input type="date" id="historyFrom" class="form-control form-control-sm" value="${escapeHtml(from)}" data-role="history-filter" data-field="from" />
+          </div>
+          <div class="col-6">
+            <label class="form-label small mb-1" for="historyTo">${t("stats.to")}</label>
+            <input type="date" id="historyTo" class="form-control form-control-sm" value="${escapeHtml(to)}" data-role="history-filter" data-field="to" />
+          </div>
+          <div class="col-6">
+            <input type="number" min="0" inputmode="numeric" class="form-control form-control-sm" placeholder="${t("history.minAmount")}" value="${escapeHtml(min)}" data-role="history-filter" data-field="min" aria-label="${t("history.minAmount")}" />
+          </div>
+          <div class="col-6">
+            <input type="number" min="0" inputmode="numeric" class="form-control form-control-sm" placeholder="${t("history.maxAmount")}" value="${escapeHtml(max)}" data-role="history-filter" data-field="max" aria-label="${t("history.maxAmount")}" />
+          </div>
+        </div>
+        <div class="d-flex flex-wrap justify-content-between align-items-center gap-2">
+          ${venueOptions.length
+            ? `
+              <select class="form-select form-select-sm w-auto" data-role="history-venue" aria-label="${t("venues.label")}">
+                <option value="">${t("history.allVenues")}</option>
+                ${venueOptions
+                  .map((venue) => `<option value="${venue.id}" ${venue.id === this.historyVenueFilter ? "selected" : ""}>${escapeHtml(venue.name)}</option>`)
+                  .join("")}
+              </select>
+            `
+            : ''}
+          ${archivedCount
+            ? `
+              <div class="form-check form-switch mb-0">
+                <input class="form-check-input" type="checkbox" id="historyShowArchived" data-role="history-show-archived" ${this.showArchivedHistory ? "checked" : ""} />
+                <label class="form-check-label small" for="historyShowArchived">${t("archive.show", { count: archivedCount })}</label>
+              </div>
+            `
+            : ''}
+          <button class="btn btn-sm btn-link ms-auto" type="button" data-action="reset-history-filters">${t("history.resetFilters")}</button>
+        </div>
+      </div>
+      <div class="card-glass p-3 mb-3 d-flex flex-wrap justify-content-between align-items-center gap-2">
+        <span class="text-muted small">${escapeHtml(exportLabel)}</span>
+        <div class="d-flex flex-wrap gap-2">
+          <button class="btn btn-sm btn-outline-secondary" type="button" data-action="export-csv" data-layout="people">${t("history.csvPeople")}</button>
+          <button class="btn btn-sm btn-outline-secondary" type="button" data-action="export-csv" data-layout="bowls">${t("history.csvBowls")}</button>
+        </div>
+      </div>
+      ${this.renderHistoryList(visibleSessions)}
+    `);
+  }
+
+  // Показываем историю страницами: на сотнях сессий полный список заметно тормозит
+  renderHistoryList(visibleSessions) {
+    const pageSessions = visibleSessions.slice(0, this.historyLimit);
+    const hiddenCount = visibleSessions.length - pageSessions.length;
+    return (visibleSessions.length
+      ? ''
+      : `<div class="card-glass p-4 text-center text-muted">${t("history.emptyFiltered")}</div>`) + pageSessions
       .map((session, index) => {
         const collapseId = `history-${session.id}-${index}`;
+        const isExpanded = this.expandedHistoryIds.has(session.id);
+        const isArchived = this.isArchived(session.id);
+        const currency = session.currency || DEFAULT_CURRENCY;
         return `
-          <div class="card-glass p-4 mb-3">
+          <div class="card-glass p-4 mb-3" data-key="${session.id}">
             <div class="d-flex justify-content-between align-items-start gap-2">
-              <div>
+              <div class="form-check">
+                <input
+                  class="form-check-input"
+                  type="checkbox"
+                  data-action="select-history"
+                  data-session-id="${session.id}"
+                  aria-label="${t("history.selectForExport")}"
+                  ${this.selectedHistoryIds.has(session.id) ? "checked" : ""}
+                />
                 <h3 class="h6 mb-1">${escapeHtml(session.name)}</h3>
-                <p class="text-muted small mb-2">${escapeHtml(formatDateRange(session.startedAt, session.endedAt))}</p>
+                <p class="text-muted small mb-2">${escapeHtml(formatDateRange(session.startedAt, session.endedAt))}${session.venueName ? ` · ${escapeHtml(session.venueName)}` : ''}</p>
+                ${session.editedAt
+                  ? `<p class="text-warning small mb-2">${escapeHtml(t("history.edited", { date: formatDateTime(session.editedAt) }))}</p>`
+                  : ''}
               </div>
-              <div class="d-flex align-items-center gap-2">
-                <span class="badge text-bg-light">${formatCurrency(session.totalCost)}</span>
+              <div class="d-flex flex-wrap justify-content-end align-items-center gap-2">
+                <span class="badge text-bg-light">${formatCurrency(session.totalCost, currency)}</span>
+                ${isArchived ? `<span class="badge text-bg-secondary">${t("archive.badge")}</span>` : ''}
+                <button
+                  class="btn btn-sm btn-outline-primary"
+                  data-action="share-session"
+                  data-session-id="${session.id}"
+                  type="button"
+                >
+                  ${t("common.share")}
+                </button>
                 <button
-                  class="btn btn-sm btn-outline-danger"
-                  data-action="delete-session"
+                  class="btn btn-sm btn-outline-secondary"
+                  data-action="print-session"
                   data-session-id="${session.id}"
                   type="button"
                 >
-                  Удалить
+                  ${t("history.receipt")}
                 </button>
+                ${isArchived
+                  ? `
+                    <button
+                      class="btn btn-sm btn-outline-primary"
+                      data-action="unarchive-session"
+                      data-session-id="${session.id}"
+                      type="button"
+                    >
+                      ${t("archive.restore")}
+                    </button>
+                    <button
+                      class="btn btn-sm btn-outline-danger"
+                      data-action="delete-archived-session"
+                      data-session-id="${session.id}"
+                      type="button"
+                    >
+                      ${t("common.delete")}
+                    </button>
+                  `
+                  : `
+                    <button
+                      class="btn btn-sm btn-outline-primary"
+                      data-action="reopen-session"
+                      data-session-id="${session.id}"
+                      type="button"
+                    >
+                      ${t("history.edit")}
+                    </button>
+                    <button
+                      class="btn btn-sm btn-outline-danger"
+                      data-action="delete-session"
+                      data-session-id="${session.id}"
+                      type="button"
+                    >
+                      ${t("common.delete")}
+                    </button>
+                  `}
               </div>
             </div>
-            <div class="text-muted small mb-3">Чаш: ${session.bowlCount}</div>
-            <button class="btn btn-sm btn-outline-primary" type="button" data-bs-toggle="collapse" data-bs-target="#${collapseId}" aria-expanded="false" aria-controls="${collapseId}">
-              Показать детали
+            <div class="text-muted small mb-3">
+              ${t("summary.bowlsCount", { count: session.bowlCount })}${session.settlement?.transfers.length
+                ? t("history.unpaidTransfers", { count: session.settlement.transfers.filter((transfer) => !transfer.paid).length })
+                : ''}
+            </div>
+            <button class="btn btn-sm btn-outline-primary" type="button" data-bs-toggle="collapse" data-bs-target="#${collapseId}" aria-expanded="${isExpanded}" aria-controls="${collapseId}">
+              ${t("history.details")}
             </button>
-            <div class="collapse mt-3" id="${collapseId}">
-              <h4 class="h6 mb-2">Распределение</h4>
+            <div class="collapse mt-3 ${isExpanded ? "show" : ""}" id="${collapseId}" data-session-id="${session.id}">
+              <h4 class="h6 mb-2">${t("history.split")}</h4>
+              ${session.rounding?.surplusAmount
+                ? `<p class="text-muted small mb-2">${t(session.rounding.surplus === "tip" ? "summary.surplusTip" : "summary.surplusPayer", { amount: formatCurrency(session.rounding.surplusAmount, currency) })}</p>`
+                : ''}
               ${session.summary.length
                 ? session.summary
                     .map(
                       (row) => `
                         <div class="d-flex justify-content-between align-items-center mb-2">
                           <div>${escapeHtml(row.name)}</div>
-                          <span class="badge text-bg-primary">${formatCurrency(row.total)}</span>
+                          <span class="badge text-bg-primary">${formatCurrency(row.total, currency)}</span>
                         </div>
                       `,
                     )
                     .join("")
-                : '<p class="text-muted small mb-2">Нет участников</p>'}
-              <h4 class="h6 mt-3 mb-2">Чаши</h4>
+                : `<p class="text-muted small mb-2">${t("history.noParticipants")}</p>`}
+              ${session.settlement?.transfers.length
+                ? `
+                  <h4 class="h6 mt-3 mb-2">${t("summary.transfers")}</h4>
+                  ${session.settlement.transfers
+                    .map(
+                      (transfer) => `
+                        <div class="form-check d-flex justify-content-between align-items-center gap-2 mb-2">
+                          <label class="form-check-label ${transfer.paid ? "text-decoration-line-through text-muted" : ""}">
+                            <input
+                              class="form-check-input me-1"
+                              type="checkbox"
+                              data-action="toggle-transfer"
+                              data-session-id="${session.id}"
+                              data-transfer-id="${transfer.id}"
+                              ${transfer.paid ? "checked" : ""}
+                              ${isArchived ? "disabled" : ""}
+                            />
+                            ${escapeHtml(transfer.fromName)} → ${escapeHtml(transfer.toName)}
+                          </label>
+                          <span class="badge text-bg-primary">${formatCurrency(transfer.amount, currency)}</span>
+                        </div>
+                        ${isArchived ? '' : this.renderPaymentDetails(transfer, { currency, sessionName: session.name, key: `${session.id}:${transfer.id}` })}
+                      `,
+                    )
+                    .join("")}
+                `
+                : ''}
+              ${session.items?.length
+                ? `
+                  <h4 class="h6 mt-3 mb-2">${t("history.extras")}</h4>
+                  ${session.items
+                    .map(
+                      (item) => `
+                        <div class="d-flex justify-content-between align-items-center mb-2">
+                          <div>
+                            <div>${escapeHtml(item.name)}${item.kind === "percent" ? ` (${item.percent}%)` : ''}</div>
+                            <div class="text-muted small">${item.participants.length ? item.participants.map(escapeHtml).join(', ') : t("history.notAllocated")}</div>
+                          </div>
+                          <span class="badge text-bg-light">${formatCurrency(item.amount, currency)}</span>
+                        </div>
+                      `,
+                    )
+                    .join("")}
+                `
+                : ''}
+              <h4 class="h6 mt-3 mb-2">${t("session.bowls")}</h4>
               ${session.bowls
                 .map(
                   (bowl) => `
                     <div class="mb-2">
                       <div class="d-flex justify-content-between align-items-center">
                         <span class="fw-semibold">${escapeHtml(bowl.name)}</span>
-                        <span class="badge text-bg-light">${formatCurrency(bowl.cost)}</span>
+                        <span class="badge text-bg-light">${formatCurrency(bowl.cost, currency)}</span>
                       </div>
-                      <div class="text-muted small">${bowl.participants.length ? bowl.participants.map(escapeHtml).join(', ') : 'Участников нет'}</div>
+                      ${bowl.startedAt && bowl.endedAt
+                        ? `<div class="text-muted small">${t("timer.historyDuration", { duration: formatDuration(getBowlDuration(bowl)) })}</div>`
+                        : ''}
+                      ${bowl.payer ? `<div class="text-muted small">${escapeHtml(t("history.paidBy", { name: bowl.payer }))}</div>` : ''}
+                      <div class="text-muted small">${bowl.participants.length
+                        ? bowl.participants
+                            .map((name, index) => {
+                              const key = getHistoryParticipantKey(bowl, index);
+                              const share = bowl.shares?.[key];
+                              const terms = bowl.terms?.[key];
+                              const notes = [
+                                share ? formatShare(share) : "",
+                                terms?.weight && terms.weight !== 1 ? formatWeight(terms.weight) : "",
+                                terms?.exempt ? t("terms.exemptBadge") : "",
+                                terms?.fixed != null && !terms.exempt ? t("terms.fixedBadge", { amount: formatCurrency(terms.fixed, currency) }) : "",
+                              ].filter(Boolean);
+                              return notes.length ? `${escapeHtml(name)} (${notes.join(", ")})` : escapeHtml(name);
+                            })
+                            .join(', ')
+                        : t("live.noParticipants")}</div>
                     </div>
                   `,
                 )
@@ -903,19 +4382,61 @@ class HookahSpliterApp {
           </div>
         `;
       })
-      .join('');
+      .join('') + (hiddenCount
+      ? `
+        <button class="btn btn-outline-primary w-100 mb-3" type="button" data-action="show-more-history">
+          ${t("history.showMore", { count: Math.min(hiddenCount, HISTORY_PAGE_SIZE), total: hiddenCount })}
+        </button>
+      `
+      : '');
+  }
 
-    container.querySelectorAll('[data-action="delete-session"]').forEach((button) => {
-      button.addEventListener('click', () => {
-        this.deleteSavedSession(button.dataset.sessionId);
-      });
-    });
+  getHistoryPaneHandlers() {
+    const updateFilter = (input) => this.updateHistoryFilters({ [input.dataset.field]: input.value });
+    return {
+      click: {
+        "reset-history-filters": () => this.resetHistoryFilters(),
+        "export-csv": (button) => this.exportHistoryCsv(button.dataset.layout),
+        "show-more-history": () => this.showMoreHistory(),
+        "unarchive-session": (button) => this.unarchiveSession(button.dataset.sessionId),
+        "delete-archived-session": (button) => this.deleteArchivedSession(button.dataset.sessionId),
+        "print-session": (button) => this.printSessionReceipt(button.dataset.sessionId),
+        "share-session": (button) => this.shareBill(button.dataset.sessionId),
+        "reopen-session": (button) => this.reopenSavedSession(button.dataset.sessionId),
+        "delete-session": (button) => this.deleteSavedSession(button.dataset.sessionId),
+        "copy-payment": (button) => this.copyPaymentMessage(button),
+      },
+      // Поиск фильтрует на лету, остальные поля — по завершении ввода
+      input: {
+        "history-filter": (input) => {
+          if (input.dataset.field === "query") updateFilter(input);
+        },
+      },
+      change: {
+        "history-filter": (input) => {
+          if (input.dataset.field !== "query") updateFilter(input);
+        },
+        "history-venue": (select) => this.setHistoryVenueFilter(select.value),
+        "history-show-archived": (checkbox) => this.toggleArchivedHistory(checkbox.checked),
+        "select-history": (checkbox) => this.toggleHistorySelection(checkbox.dataset.sessionId, checkbox.checked),
+        "toggle-transfer": (checkbox) => this.toggleTransferPaid(checkbox.dataset.sessionId, checkbox.dataset.transferId),
+      },
+    };
   }
 }
 
 window.addEventListener('DOMContentLoaded', async () => {
-  await initTelegramWelcome();
-  window.app = new HookahSpliterApp();
+  // Язык нужен ещё до приветствия, поэтому читаем его из сохранённых настроек заранее
+  setStorageUser(getTelegramWebApp()?.initDataUnsafe?.user?.id);
+  setLocale(loadStoredLocale() || detectLocale());
+  const auth = await initTelegramWelcome();
+  // Синхронизация сливает локальные данные с серверными, поэтому ключи берём от проверенного бэкендом пользователя
+  if (auth?.user?.id) setStorageUser(auth.user.id);
+  window.app = new HookahSpliterApp({ auth });
+  if (auth) {
+    window.app.startSync();
+    window.app.startLiveSharing();
+  }
 });
 
 (() => {
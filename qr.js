@@ -0,0 +1,318 @@
+// QR-код без внешних библиотек: байтовый режим (UTF-8), уровень коррекции M, версии 1–40.
+// Алгоритм — по ISO/IEC 18004; модуль не зависит от DOM и работает в Node
+
+// Для уровня M по версиям: сколько байт коррекции в блоке и сколько блоков
+const ECC_CODEWORDS_PER_BLOCK = [
+  0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+];
+const ECC_BLOCKS = [
+  0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+];
+// Биты уровня M в служебной информации о формате
+const ECC_FORMAT_BITS = 0;
+const MAX_VERSION = 40;
+const QUIET_ZONE = 4;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Сколько модулей остаётся под данные после поисковых, выравнивающих и служебных узоров
+const getRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const getDataCodewords = (version) =>
+  Math.floor(getRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ECC_BLOCKS[version];
+
+const getAlignmentPositions = (version) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+// Умножение в поле Галуа GF(2^8) с порождающим многочленом 0x11D
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const getReedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const getReedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// Режим, длина, сами байты, терминатор и байты-заполнители до полной ёмкости версии
+const encodeData = (bytes, version) => {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) bits.push(getBit(value, i) ? 1 : 0);
+  };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => push(byte, 8));
+  const capacity = getDataCodewords(version) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Данные режутся на блоки, к каждому добавляется коррекция, затем блоки перемежаются побайтно
+const addErrorCorrection = (data, version) => {
+  const blockCount = ECC_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = getReedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i += 1) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = getReedSolomonRemainder(block, divisor);
+    if (i < shortBlockCount) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, index) => {
+      // Короткие блоки дополнены нулём только для выравнивания — в код он не попадает
+      if (i !== shortBlockLength - eccLength || index >= shortBlockCount) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const createGrid = (size) => Array.from({ length: size }, () => new Array(size).fill(false));
+
+const drawFunctionPatterns = (version, modules, isFunction) => {
+  const size = modules.length;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      // Углы с поисковыми узорами пропускаем
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+};
+
+// Формат (уровень коррекции и маска) записывается дважды: у левого верхнего угла и по краям
+const drawFormatBits = (mask, modules, isFunction) => {
+  const size = modules.length;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+  const data = (ECC_FORMAT_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i += 1) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i += 1) set(14 - i, 8, getBit(bits, i));
+  for (let i = 0; i < 8; i += 1) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i += 1) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true);
+};
+
+// Байты укладываются зигзагом парами столбцов снизу вверх и обратно, минуя служебные узоры
+const drawCodewords = (codewords, modules, isFunction) => {
+  const size = modules.length;
+  let index = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && index < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[index >>> 3], 7 - (index & 7));
+          index += 1;
+        }
+      }
+    }
+  }
+};
+
+const applyMask = (mask, modules, isFunction) =>
+  modules.map((row, y) => row.map((dark, x) => (isFunction[y][x] ? dark : dark !== MASKS[mask](x, y))));
+
+// Штраф считаем по длинным сериям, квадратам 2×2 и балансу тёмных модулей —
+// правило о ложных поисковых узорах опускаем, для выбора маски хватает и этих
+const getPenalty = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  const scoreRuns = (getModule) => {
+    for (let a = 0; a < size; a += 1) {
+      let run = 1;
+      for (let b = 1; b <= size; b += 1) {
+        if (b < size && getModule(a, b) === getModule(a, b - 1)) {
+          run += 1;
+          continue;
+        }
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+  };
+  scoreRuns((y, x) => modules[y][x]);
+  scoreRuns((x, y) => modules[y][x]);
+
+  let dark = 0;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (modules[y][x]) dark += 1;
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+};
+
+// Матрица модулей: true — тёмный. Длинный текст, не влезающий в версию 40, — ошибка
+export const encodeQr = (text) => {
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > getDataCodewords(version) * 8) {
+    version += 1;
+  }
+  if (version > MAX_VERSION) {
+    throw new RangeError("Text is too long for a QR code");
+  }
+
+  const size = version * 4 + 17;
+  const modules = createGrid(size);
+  const isFunction = createGrid(size);
+  drawFunctionPatterns(version, modules, isFunction);
+  // Место под формат резервируем заранее, иначе данные заняли бы его
+  drawFormatBits(0, modules, isFunction);
+  drawCodewords(addErrorCorrection(encodeData(bytes, version), version), modules, isFunction);
+
+  let best = null;
+  MASKS.forEach((_, mask) => {
+    const masked = applyMask(mask, modules, isFunction);
+    drawFormatBits(mask, masked, createGrid(size));
+    const penalty = getPenalty(masked);
+    if (!best || penalty < best.penalty) best = { penalty, modules: masked };
+  });
+  return { version, size, modules: best.modules };
+};
+
+// SVG с белым полем вокруг кода: без него сканеры на тёмной теме не находят углы
+export const renderQrSvg = (text, label = "") => {
+  const { size, modules } = encodeQr(text);
+  const path = modules
+    .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z` : "")))
+    .join("");
+  const box = size + QUIET_ZONE * 2;
+  const ariaLabel = String(label).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+  return `<svg class="qr-code" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${box} ${box}" shape-rendering="crispEdges" role="img" aria-label="${ariaLabel}"><rect width="${box}" height="${box}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+};
@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addPerson,
+  compactHistoryEntry,
+  createInitialState,
+  endSession,
+  mergePeople,
+  migrateState,
+  renamePerson,
+  reopenSession,
+  startSession,
+} from "../core.js";
+
+// Вечер на троих: Аня платит за чашу, Вова участвует с фиксированной суммой
+const finishEvening = () => {
+  const state = createInitialState();
+  const [anya, borya, vova] = ["Аня", "Боря", "Вова"].map((name) => addPerson(state, name));
+  const session = startSession(state, "Пятница");
+  const bowl = session.bowls[0];
+  bowl.cost = 1000;
+  bowl.participantIds = [anya.id, borya.id, vova.id];
+  bowl.participation = { [vova.id]: { fixed: 200 } };
+  bowl.payerId = anya.id;
+  const entry = endSession(state);
+  return { state, entry, people: { anya, borya, vova } };
+};
+
+test("завершённая сессия попадает в историю вместе со снимком", () => {
+  const { state, entry, people } = finishEvening();
+  assert.equal(state.savedSessions.length, 1);
+  assert.equal(state.savedSessions[0], entry);
+  assert.equal(state.currentSession.isActive, false);
+  assert.equal(entry.totalCost, 1000);
+  assert.deepEqual(entry.bowls[0].amounts, { [people.anya.id]: 400, [people.borya.id]: 400, [people.vova.id]: 200 });
+  assert.deepEqual(entry.bowls[0].terms, { [people.vova.id]: { weight: 1, fixed: 200, exempt: false } });
+  assert.deepEqual(entry.snapshot, JSON.parse(JSON.stringify(state.currentSession)));
+  assert.deepEqual(entry.snapshot.bowls[0].participation, { [people.vova.id]: { fixed: 200 } });
+
+  // Снимок — отдельная копия, правки текущей сессии его не задевают
+  state.currentSession.bowls[0].cost = 1;
+  assert.equal(entry.snapshot.bowls[0].cost, 1000);
+});
+
+test("повторное сохранение заменяет запись и сохраняет отметки об оплате", () => {
+  const { state, entry, people } = finishEvening();
+  entry.settlement.transfers.forEach((transfer) => {
+    transfer.paid = true;
+    transfer.paidAt = "2026-01-01T00:00:00.000Z";
+  });
+
+  const session = reopenSession(state, entry.id);
+  assert.equal(session.isActive, true);
+  assert.equal(session.editingHistoryId, entry.id);
+  assert.deepEqual(session.bowls[0].participation, { [people.vova.id]: { fixed: 200 } });
+  session.items.push({ id: "tea", name: "Чай", kind: "fixed", amount: 100, split: "single", participantIds: [people.vova.id] });
+  session.payments.push({ id: "tea-paid", personId: people.anya.id, amount: 100 });
+
+  const edited = endSession(state);
+  assert.equal(state.savedSessions.length, 1);
+  assert.equal(state.savedSessions[0], edited);
+  assert.equal(edited.endedAt, entry.endedAt);
+  assert.ok(edited.editedAt);
+  assert.equal(edited.snapshot.editingHistoryId, undefined);
+  // Перевод Бори не изменился и остался оплаченным, а у Вовы выросла сумма — отметка снята
+  const transfers = Object.fromEntries(edited.settlement.transfers.map((transfer) => [transfer.fromName, transfer]));
+  assert.deepEqual([transfers.Боря.amount, transfers.Боря.paid, transfers.Боря.paidAt], [400, true, "2026-01-01T00:00:00.000Z"]);
+  assert.deepEqual([transfers.Вова.amount, transfers.Вова.paid], [300, false]);
+});
+
+test("если суммы не изменились, все отметки об оплате сохраняются", () => {
+  const { state, entry, people } = finishEvening();
+  entry.settlement.transfers.forEach((transfer) => {
+    transfer.paid = true;
+  });
+  reopenSession(state, entry.id);
+  const edited = endSession(state);
+  assert.ok(edited.settlement.transfers.every((transfer) => transfer.paid));
+  assert.ok(edited.settlement.transfers.some((transfer) => transfer.fromId === people.vova.id));
+});
+
+test("запись без снимка открывается по именам и условиям из самой записи", () => {
+  const { state, entry, people } = finishEvening();
+  state.savedSessions[0] = compactHistoryEntry(entry);
+  state.people = state.people.filter((person) => person.id !== people.vova.id);
+
+  const session = reopenSession(state, entry.id);
+  const vova = state.people.find((person) => person.name === "Вова");
+  assert.ok(vova && vova.id !== people.vova.id);
+  assert.deepEqual(session.bowls[0].participantIds, [people.anya.id, people.borya.id, vova.id]);
+  assert.deepEqual(session.bowls[0].participation, { [vova.id]: { fixed: 200 } });
+  assert.equal(session.bowls[0].payerId, people.anya.id);
+});
+
+test("пока идёт другая сессия, запись истории не открывается", () => {
+  const { state, entry } = finishEvening();
+  const active = startSession(state, "Суббота");
+  assert.equal(reopenSession(state, entry.id), null);
+  assert.equal(state.currentSession, active);
+});
+
+test("переименование и слияние людей доходят до истории и снимка", () => {
+  const { state, entry, people } = finishEvening();
+  renamePerson(state, people.borya.id, "Борис");
+  assert.ok(entry.summary.some((row) => row.personId === people.borya.id && row.name === "Борис"));
+  assert.equal(entry.bowls[0].amounts[people.borya.id], 400);
+
+  const merged = mergePeople(state, people.vova.id, people.anya.id);
+  assert.equal(merged.target, people.anya);
+  assert.deepEqual(people.anya.aliases, ["Вова"]);
+  assert.equal(state.people.length, 2);
+  assert.deepEqual(entry.bowls[0].participants, ["Аня", "Борис"]);
+  assert.equal(entry.summary.find((row) => row.personId === people.anya.id).total, 600);
+  assert.deepEqual(entry.bowls[0].amounts, { [people.anya.id]: 600, [people.borya.id]: 400 });
+  assert.ok(!entry.snapshot.bowls[0].participantIds.includes(people.vova.id));
+  assert.equal(mergePeople(state, people.anya.id, people.anya.id), null);
+});
+
+test("нельзя переименовать человека в чужое имя или псевдоним", () => {
+  const { state, entry, people } = finishEvening();
+  people.anya.aliases = ["Анюта"];
+  assert.equal(renamePerson(state, people.borya.id, "аня"), null);
+  assert.equal(renamePerson(state, people.borya.id, "Анюта"), null);
+  assert.equal(people.borya.name, "Боря");
+  assert.ok(entry.summary.some((row) => row.personId === people.borya.id && row.name === "Боря"));
+});
+
+test("одинаковые имена в записи не смешивают доли: ключи — id людей", () => {
+  const { state, entry, people } = finishEvening();
+  // Тёзки могли появиться до проверки имён, например из старой резервной копии
+  people.borya.name = "Аня";
+  const [anya, borya, vova] = [people.anya.id, people.borya.id, people.vova.id];
+  state.savedSessions[0] = compactHistoryEntry(entry);
+  const session = reopenSession(state, entry.id);
+  session.bowls[0].participation = { [borya]: { fixed: 100 } };
+  const edited = endSession(state);
+  assert.deepEqual(edited.bowls[0].amounts, { [anya]: 450, [borya]: 100, [vova]: 450 });
+
+  state.savedSessions[0] = compactHistoryEntry(edited);
+  const reopened = reopenSession(state, edited.id);
+  assert.deepEqual(reopened.bowls[0].participation, { [borya]: { fixed: 100 } });
+});
+
+test("миграция переводит доли старых записей с имён на id", () => {
+  const migrated = migrateState({
+    schemaVersion: 6,
+    people: [{ id: "a", name: "Аня" }],
+    savedSessions: [{
+      id: "s1",
+      summary: [],
+      bowls: [{
+        participants: ["Аня", "Гость"],
+        participantIds: ["a", null],
+        amounts: { Аня: 300, Гость: 200 },
+        shares: { Аня: 0.5 },
+        terms: { Гость: { weight: 2, fixed: null, exempt: false } },
+      }],
+    }],
+  });
+  const [bowl] = migrated.savedSessions[0].bowls;
+  assert.deepEqual(bowl.amounts, { a: 300, Гость: 200 });
+  assert.deepEqual(bowl.shares, { a: 0.5 });
+  assert.deepEqual(bowl.terms, { Гость: { weight: 2, fixed: null, exempt: false } });
+});
@@ -0,0 +1,161 @@
+import { test } from "node:test";
+import { createHash } from "node:crypto";
+import assert from "node:assert/strict";
+import {
+  addPerson,
+  computeSettlement,
+  computeSummary,
+  createInitialState,
+  mergePeople,
+  normalizePaymentDetails,
+  sanitizeState,
+  startSession,
+  updatePaymentDetail,
+} from "../core.js";
+import { encodeQr } from "../qr.js";
+
+test("телефон приводится к международному виду, номер карты проверяется по Луну", () => {
+  assert.deepEqual(normalizePaymentDetails({ phone: "8 (900) 123-45-67", card: "4111 1111 1111 1111", bank: " Т-Банк " }), {
+    phone: "+79001234567",
+    card: "4111111111111111",
+    bank: "Т-Банк",
+  });
+  assert.deepEqual(normalizePaymentDetails({ phone: "+995 555 12 34 56" }), { phone: "+995555123456" });
+  assert.equal(normalizePaymentDetails({ phone: "900 123-45-67" }), null);
+  assert.equal(normalizePaymentDetails({ card: "4111 1111 1111 1112" }), null);
+  assert.equal(normalizePaymentDetails("+79001234567"), null);
+});
+
+test("неверное значение не затирает сохранённое, пустое — стирает поле", () => {
+  const state = createInitialState();
+  const person = addPerson(state, "Аня");
+  assert.equal(updatePaymentDetail(state, person.id, "phone", "+7 900 123-45-67"), true);
+  assert.equal(updatePaymentDetail(state, person.id, "card", "1234"), false);
+  assert.equal(updatePaymentDetail(state, person.id, "phone", "123"), false);
+  assert.deepEqual(person.payment, { phone: "+79001234567" });
+  assert.equal(updatePaymentDetail(state, person.id, "phone", ""), true);
+  assert.equal(person.payment, undefined);
+  assert.equal(updatePaymentDetail(state, person.id, "iban", "DE00"), false);
+});
+
+test("при загрузке битые реквизиты отбрасываются, а при слиянии переходят к основному", () => {
+  const state = sanitizeState({
+    people: [
+      { id: "a", name: "Аня", payment: { phone: "+79001234567", card: "oops" } },
+      { id: "b", name: "Боря", payment: "карта в заметках" },
+    ],
+  });
+  assert.deepEqual(state.people[0].payment, { phone: "+79001234567" });
+  assert.equal("payment" in state.people[1], false);
+
+  mergePeople(state, "a", "b");
+  assert.deepEqual(state.people[0].payment, { phone: "+79001234567" });
+});
+
+test("пока никто не заплатил, излишек «плательщику» считается чаевыми", () => {
+  const state = createInitialState();
+  state.settings.rounding = { step: 100, remainder: "order", surplus: "payer" };
+  const people = ["Аня", "Боря", "Вова"].map((name) => addPerson(state, name));
+  const session = startSession(state, "Пятница");
+  session.bowls[0].cost = 1000;
+  session.bowls[0].participantIds = people.map((person) => person.id);
+
+  const summary = computeSummary(state, session);
+  assert.equal(summary.surplusMode, "tip");
+  assert.equal(summary.total, 1200);
+  const settlement = computeSettlement(state, session, summary);
+  assert.equal(settlement.unsettled, summary.total);
+  assert.ok(settlement.balances.every((entry) => entry.credit === 0));
+
+  // С появлением плательщика излишек снова засчитывается ему
+  session.payments.push({ id: "paid", personId: people[1].id, amount: 1000 });
+  const paidSummary = computeSummary(state, session);
+  assert.equal(paidSummary.surplusMode, "payer");
+  assert.equal(paidSummary.total, 1000);
+  assert.equal(computeSettlement(state, session, paidSummary).unsettled, 0);
+});
+
+test("QR-код подбирает версию по длине текста и рисует поисковые узоры", () => {
+  const short = encodeQr("Аня → Боря: 250 ₽");
+  assert.equal(short.version, 3);
+  assert.equal(short.size, 29);
+  const long = encodeQr("x".repeat(500));
+  assert.equal(long.size, long.version * 4 + 17);
+  assert.ok(long.version > short.version);
+  // Поисковый узор: тёмная рамка 7×7, светлое кольцо и тёмный центр 3×3
+  const finder = short.modules.slice(0, 7).map((row) => row.slice(0, 7).map(Number).join(""));
+  assert.deepEqual(finder, ["1111111", "1000001", "1011101", "1011101", "1011101", "1000001", "1111111"]);
+  assert.throws(() => encodeQr("x".repeat(3000)), RangeError);
+});
+
+const toRows = (modules) => modules.map((row) => row.map(Number).join(""));
+
+// Формат записан дважды: у левого верхнего угла и по краям у двух других поисковых узоров
+const readFormatBits = (modules) => {
+  const size = modules.length;
+  let first = 0;
+  let second = 0;
+  const positions = [0, 1, 2, 3, 4, 5, 7, 8];
+  positions.forEach((y, i) => {
+    first |= Number(modules[y][8]) << i;
+    second |= Number(modules[8][size - 1 - i]) << i;
+  });
+  [7, 5, 4, 3, 2, 1, 0].forEach((x, i) => {
+    first |= Number(modules[8][x]) << (i + 8);
+  });
+  for (let i = 8; i < 15; i += 1) second |= Number(modules[size - 15 + i][8]) << i;
+  return { first, second };
+};
+
+const checkFormat = (modules) => {
+  const { first, second } = readFormatBits(modules);
+  assert.equal(first, second);
+  const bits = first ^ 0x5412;
+  // Остаток БЧХ-кода (генератор 0x537) у верного формата нулевой
+  let remainder = bits;
+  for (let i = 14; i >= 10; i -= 1) {
+    if ((remainder >>> i) & 1) remainder ^= 0x537 << (i - 10);
+  }
+  assert.equal(remainder, 0);
+  // Два старших бита данных — уровень коррекции, 00 соответствует M
+  assert.equal(bits >>> 13, 0);
+  return (bits >>> 10) & 7;
+};
+
+// Эталоны сверены с выводом независимого кодировщика (npm-пакет qrcode) с той же маской
+test("QR-код версии 1 совпадает с эталонной матрицей", () => {
+  const qr = encodeQr("Аня: 250");
+  assert.equal(qr.version, 1);
+  assert.equal(checkFormat(qr.modules), 0);
+  assert.deepEqual(toRows(qr.modules), [
+    "111111100111001111111",
+    "100000101010001000001",
+    "101110100101101011101",
+    "101110100110001011101",
+    "101110101110101011101",
+    "100000100100101000001",
+    "111111101010101111111",
+    "000000000001100000000",
+    "101010100011000010010",
+    "010111000000010111000",
+    "110001111100101010100",
+    "011110010000010110110",
+    "000011100110110001101",
+    "000000001101010011000",
+    "111111100001000010110",
+    "100000100011110011101",
+    "101110101011010101000",
+    "101110100111000100110",
+    "101110101100111001101",
+    "100000100011010000110",
+    "111111101000110011111",
+  ]);
+});
+
+test("QR-код с блоками разной длины и информацией о версии совпадает с эталоном", () => {
+  const qr = encodeQr("0123456789".repeat(20));
+  assert.equal(qr.version, 10);
+  assert.equal(checkFormat(qr.modules), 2);
+  const digest = createHash("sha256").update(toRows(qr.modules).join("\n")).digest("hex");
+  assert.equal(digest, "07f4627e95c7e36e142bbc6b32c9ddf86e0ca8731349405f78c33d6e9c357676");
+});
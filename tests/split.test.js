@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addBowl,
+  addPerson,
+  allocateByWeights,
+  computeSettlement,
+  computeSummary,
+  createInitialState,
+  splitBowlCost,
+  startSession,
+} from "../core.js";
+
+const setup = (names, settings = {}) => {
+  const state = createInitialState();
+  Object.assign(state.settings, settings);
+  const people = names.map((name) => addPerson(state, name));
+  const session = startSession(state, "Тест");
+  session.bowls[0].participantIds = people.map((person) => person.id);
+  return { state, session, people };
+};
+
+const totalsByName = (summary) => Object.fromEntries(summary.rows.map((row) => [row.name, row.total]));
+
+test("остаток по рублю уходит первым по порядку участникам", () => {
+  assert.deepEqual(allocateByWeights(1000, [1, 1, 1]), { amounts: [334, 333, 333], extras: [0] });
+  assert.deepEqual(allocateByWeights(101, [1, 1, 1]).amounts, [34, 34, 33]);
+});
+
+test("при равных дробных частях приоритет важнее порядка", () => {
+  assert.deepEqual(allocateByWeights(100, [1, 1, 1], [1, 0, 0]).amounts, [33, 34, 33]);
+});
+
+test("больший вес получает большую часть, а лишний рубль — наибольшая дробная часть", () => {
+  assert.deepEqual(allocateByWeights(100, [2, 1]).amounts, [67, 33]);
+  assert.deepEqual(allocateByWeights(0, [1, 1]), { amounts: [0, 0], extras: [] });
+});
+
+test("фиксированные суммы списываются первыми, освобождённые не платят", () => {
+  const terms = [
+    { share: 1, weight: 1, fixed: 100, exempt: false },
+    { share: 1, weight: 1, fixed: null, exempt: true },
+    { share: 1, weight: 2, fixed: null, exempt: false },
+    { share: 1, weight: 1, fixed: null, exempt: false },
+  ];
+  assert.deepEqual(splitBowlCost(1000, terms), { amounts: [100, 0, 600, 300], extras: [], unallocated: 0 });
+});
+
+test("если делить не на кого, остаток остаётся нераспределённым", () => {
+  const terms = [
+    { share: 1, weight: 1, fixed: 200, exempt: false },
+    { share: 1, weight: 1, fixed: null, exempt: true },
+  ];
+  assert.deepEqual(splitBowlCost(500, terms), { amounts: [200, 0], extras: [], unallocated: 300 });
+});
+
+test("в режиме по порядку лишние рубли каждый раз достаются первому", () => {
+  const { state, session } = setup(["Аня", "Боря", "Вова"]);
+  session.bowls[0].cost = 100;
+  addBowl(state).cost = 100;
+  assert.deepEqual(totalsByName(computeSummary(state, session)), { Аня: 68, Боря: 66, Вова: 66 });
+});
+
+test("в честном режиме лишний рубль переходит к тому, кто его ещё не получал", () => {
+  const { state, session } = setup(["Аня", "Боря", "Вова"], { rounding: { step: 1, remainder: "fair", surplus: "tip" } });
+  session.bowls[0].cost = 100;
+  addBowl(state).cost = 100;
+  addBowl(state).cost = 100;
+  assert.deepEqual(totalsByName(computeSummary(state, session)), { Аня: 100, Боря: 100, Вова: 100 });
+});
+
+test("процентный сбор делится пропорционально набранному", () => {
+  const { state, session, people } = setup(["Аня", "Боря"]);
+  session.bowls[0].cost = 600;
+  session.items.push({ id: "tea", name: "Чай", kind: "fixed", amount: 300, split: "single", participantIds: [people[0].id] });
+  session.items.push({ id: "service", name: "Сервис", kind: "percent", percent: 10, split: "everyone", participantIds: [] });
+  const summary = computeSummary(state, session);
+  assert.equal(summary.total, 990);
+  assert.deepEqual(totalsByName(summary), { Аня: 660, Боря: 330 });
+});
+
+test("излишек округления идёт в чаевые и увеличивает общий счёт", () => {
+  const { state, session } = setup(["Аня", "Боря", "Вова"], { rounding: { step: 100, remainder: "order", surplus: "tip" } });
+  session.bowls[0].cost = 1000;
+  const summary = computeSummary(state, session);
+  assert.deepEqual(totalsByName(summary), { Аня: 400, Боря: 400, Вова: 400 });
+  assert.equal(summary.roundingSurplus, 200);
+  assert.equal(summary.total, 1200);
+});
+
+test("излишек округления «плательщику» засчитывается тому, кто заплатил больше всех", () => {
+  const { state, session, people } = setup(["Аня", "Боря", "Вова"], { rounding: { step: 100, remainder: "order", surplus: "payer" } });
+  session.bowls[0].cost = 1000;
+  session.bowls[0].payerId = people[0].id;
+  const summary = computeSummary(state, session);
+  assert.equal(summary.total, 1000);
+  const settlement = computeSettlement(state, session, summary);
+  assert.equal(settlement.unsettled, 0);
+  assert.deepEqual(
+    settlement.transfers.map((transfer) => [transfer.fromName, transfer.toName, transfer.amount]),
+    [["Боря", "Аня", 400], ["Вова", "Аня", 400]],
+  );
+});